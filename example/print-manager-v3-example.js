@@ -106,7 +106,7 @@ function registerCancelPrintHandler() {
  *
  */
 function onPrintClick() {
-  printProvider.print(true)
+  printProvider.print(true).promise
     .catch(error => {
       console.log('Error while printing: ' + error);
     });
@@ -116,7 +116,13 @@ function onPrintClick() {
  *
  */
 function onCancelPrintClick() {
-  printProvider.cancelPrint(printProvider.printJobReference);
+  const printJob = printProvider.getPrintJob();
+  if (printJob) {
+    printJob.cancel()
+      .catch(() => {
+        console.log('Error while cancelling the print job.');
+      });
+  }
 }
 
 /**
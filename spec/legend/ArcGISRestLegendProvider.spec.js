@@ -0,0 +1,101 @@
+/*eslint-env jest*/
+import OlLayerImage from 'ol/layer/Image';
+import OlSourceImageArcGISRest from 'ol/source/ImageArcGISRest';
+
+import { ArcGISRestLegendProvider } from '../../src/legend/ArcGISRestLegendProvider';
+import { BaseMapFishPrintManager } from '../../src/manager/BaseMapFishPrintManager';
+
+describe('ArcGISRestLegendProvider', () => {
+  let manager;
+
+  const legendResponse = {
+    layers: [{
+      layerId: 0,
+      layerName: 'Stadiums',
+      legend: [{
+        label: 'Westfalenstadion',
+        contentType: 'image/png',
+        imageData: 'AAAA'
+      }]
+    }, {
+      layerId: 2,
+      layerName: 'Routes',
+      legend: [{
+        label: 'B1',
+        url: 'b1.png'
+      }]
+    }]
+  };
+
+  /**
+   * Returns an ArcGIS REST layer for testing purposes.
+   *
+   * @param {Object} params The params of the source.
+   * @return {ol.layer.Image} The layer.
+   */
+  const getLayer = params => new OlLayerImage({
+    source: new OlSourceImageArcGISRest({
+      url: 'https://bvb.de/arcgis/rest/services/Dortmund/MapServer/',
+      params
+    })
+  });
+
+  beforeEach(() => {
+    manager = new BaseMapFishPrintManager([{
+      url: 'https://mock:8080/print/',
+      headers: {
+        Authorization: 'Bearer shinji'
+      }
+    }]);
+    fetch.mockResponse(JSON.stringify(legendResponse));
+  });
+
+  afterEach(() => {
+    fetch.resetMocks();
+  });
+
+  it('is defined', () => {
+    expect(ArcGISRestLegendProvider).not.toBeUndefined();
+  });
+
+  it('provides the legend of the service layers', () => {
+    const layer = getLayer({});
+
+    expect(ArcGISRestLegendProvider.canProvide(layer)).toBe(true);
+
+    return new ArcGISRestLegendProvider().getLegendClasses(layer, manager)
+      .then(classes => {
+        const [url, opts] = fetch.mock.calls[0];
+
+        expect(url).toEqual('https://bvb.de/arcgis/rest/services/Dortmund/MapServer/legend?f=json');
+        expect(opts.headers.Authorization).toEqual('Bearer shinji');
+        expect(classes).toEqual([{
+          name: 'Stadiums',
+          classes: [{
+            name: 'Westfalenstadion',
+            icons: ['data:image/png;base64,AAAA']
+          }]
+        }, {
+          name: 'Routes',
+          classes: [{
+            name: 'B1',
+            icons: ['https://bvb.de/arcgis/rest/services/Dortmund/MapServer/2/images/b1.png']
+          }]
+        }]);
+      });
+  });
+
+  it('provides the legend of the visible service layers only', () => {
+    const layer = getLayer({
+      LAYERS: 'show:2'
+    });
+
+    return new ArcGISRestLegendProvider().getLegendClasses(layer, manager)
+      .then(classes => {
+        expect(classes).toEqual([{
+          name: 'B1',
+          icons: ['https://bvb.de/arcgis/rest/services/Dortmund/MapServer/2/images/b1.png']
+        }]);
+      });
+  });
+});
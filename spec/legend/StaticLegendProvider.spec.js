@@ -0,0 +1,35 @@
+/*eslint-env jest*/
+import OlLayerTile from 'ol/layer/Tile';
+import OlSourceXYZ from 'ol/source/XYZ';
+
+import { StaticLegendProvider } from '../../src/legend/StaticLegendProvider';
+
+describe('StaticLegendProvider', () => {
+
+  it('is defined', () => {
+    expect(StaticLegendProvider).not.toBeUndefined();
+  });
+
+  it('provides the legend of layers with a legend url', () => {
+    const layer = new OlLayerTile({
+      source: new OlSourceXYZ({
+        url: 'https://bvb.de/{z}/{x}/{y}.png'
+      })
+    });
+
+    expect(StaticLegendProvider.canProvide(layer)).toBe(false);
+
+    layer.set('legendUrl', 'https://bvb.de/legend.png');
+
+    expect(StaticLegendProvider.canProvide(layer)).toBe(true);
+    expect(new StaticLegendProvider().getLegendClasses(layer)).toEqual([{
+      name: '',
+      icons: ['https://bvb.de/legend.png']
+    }]);
+
+    layer.set('legendUrl', ['https://bvb.de/1.png', 'https://bvb.de/2.png']);
+
+    expect(new StaticLegendProvider().getLegendClasses(layer)[0].icons)
+      .toEqual(['https://bvb.de/1.png', 'https://bvb.de/2.png']);
+  });
+});
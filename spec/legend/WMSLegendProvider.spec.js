@@ -0,0 +1,38 @@
+/*eslint-env jest*/
+import OlLayerImage from 'ol/layer/Image';
+import OlLayerTile from 'ol/layer/Tile';
+import OlSourceImageWMS from 'ol/source/ImageWMS';
+import OlSourceOSM from 'ol/source/OSM';
+
+import { WMSLegendProvider } from '../../src/legend/WMSLegendProvider';
+
+describe('WMSLegendProvider', () => {
+
+  it('is defined', () => {
+    expect(WMSLegendProvider).not.toBeUndefined();
+  });
+
+  it('provides the GetLegendGraphic of WMS layers', () => {
+    const layer = new OlLayerImage({
+      source: new OlSourceImageWMS({
+        url: 'https://bvb.de/wms',
+        params: {
+          LAYERS: 'SHINJI:KAGAWA'
+        }
+      })
+    });
+    const osmLayer = new OlLayerTile({
+      source: new OlSourceOSM()
+    });
+
+    expect(WMSLegendProvider.canProvide(layer)).toBe(true);
+    expect(WMSLegendProvider.canProvide(osmLayer)).toBe(false);
+
+    const classes = new WMSLegendProvider().getLegendClasses(layer);
+
+    expect(classes.length).toEqual(1);
+    expect(classes[0].name).toEqual('');
+    expect(classes[0].icons[0]).toMatch(/^https:\/\/bvb.de\/wms\?LAYER=SHINJI%3AKAGAWA/);
+    expect(classes[0].icons[0]).toMatch(/REQUEST=GetLegendGraphic/);
+  });
+});
@@ -0,0 +1,76 @@
+/*eslint-env jest*/
+import OlLayerTile from 'ol/layer/Tile';
+import OlSourceWMTS from 'ol/source/WMTS';
+import OlTileGridWMTS from 'ol/tilegrid/WMTS';
+
+import { WMTSLegendProvider } from '../../src/legend/WMTSLegendProvider';
+
+describe('WMTSLegendProvider', () => {
+  let layer;
+
+  const capabilities = {
+    Contents: {
+      Layer: [{
+        Identifier: 'kagawa',
+        Style: [{
+          Identifier: 'default',
+          isDefault: true,
+          LegendURL: [{
+            format: 'image/png',
+            href: 'https://bvb.de/legend/default.png'
+          }]
+        }, {
+          Identifier: 'night',
+          isDefault: false,
+          LegendURL: [{
+            format: 'image/png',
+            href: 'https://bvb.de/legend/night.png'
+          }]
+        }]
+      }]
+    }
+  };
+
+  beforeEach(() => {
+    layer = new OlLayerTile({
+      source: new OlSourceWMTS({
+        url: 'https://bvb.de/wmts',
+        layer: 'kagawa',
+        matrixSet: 'EPSG:3857',
+        format: 'image/png',
+        style: 'night',
+        tileGrid: new OlTileGridWMTS({
+          origin: [0, 0],
+          resolutions: [1],
+          matrixIds: ['0']
+        })
+      })
+    });
+  });
+
+  it('is defined', () => {
+    expect(WMTSLegendProvider).not.toBeUndefined();
+  });
+
+  it('requires the capabilities of the layer', () => {
+    expect(WMTSLegendProvider.canProvide(layer)).toBe(false);
+
+    layer.set('customPrintWmtsCapabilities', capabilities);
+
+    expect(WMTSLegendProvider.canProvide(layer)).toBe(true);
+  });
+
+  it('provides the legend url of the current style', () => {
+    layer.set('customPrintWmtsCapabilities', capabilities);
+
+    expect(new WMTSLegendProvider().getLegendClasses(layer)).toEqual([{
+      name: '',
+      icons: ['https://bvb.de/legend/night.png']
+    }]);
+
+    layer.getSource().style_ = 'unknown';
+
+    expect(new WMTSLegendProvider().getLegendClasses(layer)[0].icons)
+      .toEqual(['https://bvb.de/legend/default.png']);
+  });
+});
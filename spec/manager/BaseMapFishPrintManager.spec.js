@@ -1,5 +1,6 @@
 /*eslint-env jest*/
 import { BaseMapFishPrintManager } from '../../src/manager/BaseMapFishPrintManager';
+import Logger from '../../src/util/Logger';
 
 describe('BaseMapFishPrintManager', () => {
 
@@ -7,4 +8,254 @@ describe('BaseMapFishPrintManager', () => {
     expect(BaseMapFishPrintManager).not.toBeUndefined();
   });
 
+  describe('#request', () => {
+
+    afterEach(() => {
+      fetch.resetMocks();
+    });
+
+    it('uses the given fetch implementation', () => {
+      const fetchFn = jest.fn(() => Promise.resolve('response'));
+      const manager = new BaseMapFishPrintManager([{
+        url: 'https://mock:8080/print/',
+        fetchFn
+      }]);
+
+      return manager.request('https://mock:8080/print/apps.json', {
+        method: 'GET'
+      })
+        .then(response => {
+          expect(response).toEqual('response');
+          expect(fetchFn).toHaveBeenCalledWith(
+            'https://mock:8080/print/apps.json', {method: 'GET'});
+          expect(fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    it('passes requests and responses through the interceptors', () => {
+      fetch.mockResponse(req => Promise.resolve({
+        body: '',
+        status: req.headers.get('Authorization') === 'Bearer 2' ? 200 : 401
+      }));
+
+      const manager = new BaseMapFishPrintManager([{
+        url: 'https://mock:8080/print/',
+        requestInterceptors: [
+          request => ({
+            ...request,
+            url: request.url.replace('mock', 'localhost')
+          }),
+          request => Promise.resolve({
+            ...request,
+            opts: {
+              ...request.opts,
+              headers: {
+                Authorization: 'Bearer 1'
+              }
+            }
+          })
+        ],
+        responseInterceptors: [
+          (response, request) => {
+            if (response.status !== 401) {
+              return response;
+            }
+            return fetch(request.url, {
+              ...request.opts,
+              headers: {
+                Authorization: 'Bearer 2'
+              }
+            });
+          }
+        ]
+      }]);
+
+      return manager.request('https://mock:8080/print/apps.json')
+        .then(response => {
+          expect(response.status).toEqual(200);
+          expect(fetch.mock.calls.length).toEqual(2);
+          expect(fetch.mock.calls[0][0]).toEqual('https://localhost:8080/print/apps.json');
+          expect(fetch.mock.calls[0][1].headers.Authorization).toEqual('Bearer 1');
+        });
+    });
+  });
+
+  describe('#fetchPrintResult', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new BaseMapFishPrintManager([{
+        url: 'https://mock:8080/print/',
+        headers: {
+          Authorization: 'Bearer shinji'
+        },
+        credentialsMode: 'include'
+      }]);
+    });
+
+    afterEach(() => {
+      fetch.resetMocks();
+    });
+
+    it('fetches the print result as blob', () => {
+      fetch.mockResponse('%PDF', {
+        headers: {
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': 'attachment; filename="westfalenstadion.pdf"'
+        }
+      });
+
+      return manager.fetchPrintResult('https://mock:8080/print/report/1909')
+        .then(result => {
+          const [url, opts] = fetch.mock.calls[0];
+
+          expect(url).toEqual('https://mock:8080/print/report/1909');
+          expect(opts.headers.Authorization).toEqual('Bearer shinji');
+          expect(opts.credentials).toEqual('include');
+          expect(result.blob).toBeDefined();
+          expect(result.filename).toEqual('westfalenstadion.pdf');
+          expect(result.mimeType).toEqual('application/pdf');
+        });
+    });
+
+    it('uses the given filename or the one of the url', () => {
+      fetch.mockResponse('%PDF');
+
+      return manager.fetchPrintResult('https://mock:8080/print/report/1909.pdf?x=1')
+        .then(result => {
+          expect(result.filename).toEqual('1909.pdf');
+
+          return manager.fetchPrintResult('https://mock:8080/print/report/1909', {
+            filename: 'kagawa.pdf'
+          });
+        })
+        .then(result => {
+          expect(result.filename).toEqual('kagawa.pdf');
+        });
+    });
+  });
+
+  describe('#getFilename', () => {
+    let manager;
+
+    /**
+     * Returns a response with the given `Content-Disposition` header.
+     *
+     * @param {string} disposition The value of the header.
+     * @return {Object} The response.
+     */
+    const getResponse = disposition => ({
+      headers: {
+        get: () => disposition
+      }
+    });
+
+    beforeEach(() => {
+      manager = new BaseMapFishPrintManager([{
+        url: 'https://mock:8080/print/'
+      }]);
+    });
+
+    it('reads the plain and the encoded filename of the header', () => {
+      const url = 'https://mock:8080/print/report/1909.pdf';
+
+      expect(manager.getFilename(getResponse(
+        'attachment; filename="Signal Iduna 100%.pdf"'), url))
+        .toEqual('Signal Iduna 100%.pdf');
+      expect(manager.getFilename(getResponse(
+        'attachment; filename=borsigplatz.pdf'), url))
+        .toEqual('borsigplatz.pdf');
+      expect(manager.getFilename(getResponse(
+        'attachment; filename="dortmund.pdf"; filename*=UTF-8\'\'d%C3%B6rtmund.pdf'), url))
+        .toEqual('dörtmund.pdf');
+      expect(manager.getFilename(getResponse(null), url))
+        .toEqual('1909.pdf');
+    });
+
+    it('falls back if the encoded filename is malformed', () => {
+      const warnSpy = jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+      const url = 'https://mock:8080/print/report/1909.pdf';
+
+      expect(manager.getFilename(getResponse(
+        'attachment; filename="dortmund.pdf"; filename*=UTF-8\'\'100%.pdf'), url))
+        .toEqual('dortmund.pdf');
+      expect(manager.getFilename(getResponse(
+        'attachment; filename*=UTF-8\'\'100%.pdf'), url))
+        .toEqual('1909.pdf');
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('#downloadBlob', () => {
+    it('downloads the blob via an object url', () => {
+      const manager = new BaseMapFishPrintManager([{
+        url: 'https://mock:8080/print/'
+      }]);
+      const blob = new Blob(['%PDF'], {
+        type: 'application/pdf'
+      });
+      const clickSpy = jest.fn();
+      const createElement = document.createElement.bind(document);
+
+      window.URL.createObjectURL = jest.fn(() => 'blob:1909');
+      window.URL.revokeObjectURL = jest.fn();
+      const createElementSpy = jest.spyOn(document, 'createElement')
+        .mockImplementation(tagName => {
+          const element = createElement(tagName);
+          element.click = clickSpy;
+          return element;
+        });
+
+      manager.downloadBlob(blob, 'borussia.pdf');
+
+      const link = createElementSpy.mock.results[0].value;
+
+      expect(window.URL.createObjectURL).toHaveBeenCalledWith(blob);
+      expect(link.href).toEqual('blob:1909');
+      expect(link.download).toEqual('borussia.pdf');
+      expect(clickSpy).toHaveBeenCalled();
+
+      createElementSpy.mockRestore();
+    });
+  });
+
+  describe('#getMapImage', () => {
+    it('composes the layer canvases using their css transforms', () => {
+      const manager = new BaseMapFishPrintManager([{
+        url: 'https://mock:8080/print/'
+      }]);
+      const viewport = document.createElement('div');
+      const transforms = ['matrix(2, 0, 0, 2, 10, 20)', 'none', ''];
+      transforms.forEach(transform => {
+        const layerDiv = document.createElement('div');
+        const canvas = document.createElement('canvas');
+        layerDiv.className = 'ol-layer';
+        canvas.width = 256;
+        canvas.style.transform = transform;
+        layerDiv.appendChild(canvas);
+        viewport.appendChild(layerDiv);
+      });
+      const map = {
+        getViewport: () => viewport
+      };
+      const createElement = document.createElement.bind(document);
+      const createElementSpy = jest.spyOn(document, 'createElement')
+        .mockImplementation(tagName => createElement(tagName));
+
+      const image = manager.getMapImage(map, 256, 256);
+      const context = createElementSpy.mock.results[0].value.getContext('2d');
+
+      expect(image).toMatch(/^data:image\/png/);
+      expect(context.setTransform.mock.calls).toEqual([
+        [2, 0, 0, 2, 10, 20],
+        [1, 0, 0, 1, 0, 0],
+        [1, 0, 0, 1, 0, 0]
+      ]);
+
+      createElementSpy.mockRestore();
+    });
+  });
+
 });
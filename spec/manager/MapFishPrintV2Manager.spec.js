@@ -3,8 +3,15 @@ import OlMap from 'ol/Map';
 import OlLayerImage from 'ol/layer/Image';
 import OlSourceImageWMS from 'ol/source/ImageWMS';
 import OlView from 'ol/View';
+import OlLayerVector from 'ol/layer/Vector';
+import OlLayerGroup from 'ol/layer/Group';
+import OlSourceVector from 'ol/source/Vector';
+import OlFeature from 'ol/Feature';
+import OlGeomLineString from 'ol/geom/LineString';
 
 import { MapFishPrintV2Manager } from '../../src/index';
+import MapFishPrintV2WMSSerializer from '../../src/serializer/MapFishPrintV2WMSSerializer';
+import Logger from '../../src/util/Logger';
 
 import mockResponse from '../../assets/v2/info.json';
 
@@ -22,6 +29,18 @@ describe('MapFishPrintV2Manager', () => {
     expect(MapFishPrintV2Manager).not.toBeUndefined();
   });
 
+  it('applies the given options', () => {
+    const serializers = [MapFishPrintV2WMSSerializer];
+    const manager = new MapFishPrintV2Manager({
+      map: testMap,
+      url: 'https://mock:8080/print/pdf',
+      serializers
+    });
+
+    expect(manager.url).toEqual('https://mock:8080/print/pdf/');
+    expect(manager.serializers).toBe(serializers);
+  });
+
   it('loads the print capabilities from a remote source', () => {
     fetch.mockResponse(JSON.stringify(mockResponse));
 
@@ -95,4 +114,264 @@ describe('MapFishPrintV2Manager', () => {
       });
   });
 
+  it('warns that layers can\'t be rasterized', () => {
+    const warnSpy = jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+    const manager = new MapFishPrintV2Manager({
+      map: testMap,
+      capabilities: mockResponse,
+      rasterizeUnsupportedLayers: true
+    });
+    manager.init();
+
+    fetch.mockResponse(JSON.stringify({
+      getURL: 'http://localhost:4321/print/pdf/1909.pdf.printout'
+    }));
+
+    return manager.print()
+      .then(() => {
+        expect(warnSpy).toHaveBeenCalledWith('The rasterization of ' +
+          'unsupported layers isn\'t supported by MapFish Print v2, these ' +
+          'layers will not be printed.');
+        warnSpy.mockRestore();
+        fetch.resetMocks();
+      });
+  });
+
+  it('returns the fetched print result', () => {
+    const manager = new MapFishPrintV2Manager({
+      method: 'POST',
+      map: new OlMap({
+        layers: [],
+        view: new OlView({
+          center: [0, 0],
+          zoom: 2
+        })
+      }),
+      capabilities: mockResponse
+    });
+    manager.init();
+
+    fetch.mockResponses([
+      JSON.stringify({
+        getURL: 'http://localhost:4321/print/pdf/1909.pdf.printout'
+      })
+    ], [
+      '%PDF', {
+        headers: {
+          'Content-Type': 'application/pdf'
+        }
+      }
+    ]);
+
+    return manager.print(false, {
+      asBlob: true,
+      filename: 'borussia.pdf'
+    })
+      .then(result => {
+        expect(fetch.mock.calls[1][0]).toEqual('http://localhost:4321/print/pdf/1909.pdf.printout');
+        expect(result.filename).toEqual('borussia.pdf');
+        expect(result.mimeType).toEqual('application/pdf');
+        fetch.resetMocks();
+      });
+  });
+
+  it('returns a page per print extent', () => {
+    const manager = new MapFishPrintV2Manager({
+      map: new OlMap({
+        layers: [],
+        view: new OlView({
+          center: [0, 0],
+          zoom: 2
+        })
+      }),
+      capabilities: mockResponse
+    });
+    manager.init();
+
+    const scaleValue = manager.getScale().value;
+    manager.addPage({
+      center: [1000, 1000]
+    });
+
+    const payload = manager.getPrintPayload();
+
+    expect(payload.pages.length).toEqual(2);
+    expect(payload.pages[0].scale).toEqual(scaleValue);
+    expect(payload.pages[1].scale).toEqual(scaleValue);
+    expect(payload.pages[1].center[0]).toBeCloseTo(1000);
+    expect(payload.pages[1].rotation).toBeCloseTo(0);
+  });
+
+  it('transforms the pages into the print projection', () => {
+    const manager = new MapFishPrintV2Manager({
+      map: new OlMap({
+        layers: [],
+        view: new OlView({
+          center: [1113194.9079327357, 6800125.454397307],
+          zoom: 10
+        })
+      }),
+      capabilities: mockResponse,
+      printProjection: 'EPSG:4326'
+    });
+    manager.init();
+
+    const payload = manager.getPrintPayload();
+
+    expect(payload.srs).toEqual('EPSG:4326');
+    expect(payload.units).toEqual('degrees');
+    expect(payload.pages[0].center[0]).toBeCloseTo(10, 6);
+    expect(payload.pages[0].center[1]).toBeCloseTo(52, 6);
+  });
+
+  it('serializes the legend of vector layers', () => {
+    const manager = new MapFishPrintV2Manager({
+      map: new OlMap({
+        layers: [new OlLayerVector({
+          name: 'Routes',
+          source: new OlSourceVector({
+            features: [
+              new OlFeature({
+                geometry: new OlGeomLineString([[0, 0], [10, 10]]),
+                name: 'B1'
+              })
+            ]
+          })
+        })],
+        view: new OlView({
+          center: [0, 0],
+          zoom: 2
+        })
+      }),
+      capabilities: mockResponse,
+      vectorLegendProperty: 'name'
+    });
+    manager.init();
+
+    const legends = manager.getPrintPayload().legends;
+
+    expect(legends.length).toEqual(1);
+    expect(legends[0].name).toEqual('Routes');
+    expect(legends[0].classes.length).toEqual(1);
+    expect(legends[0].classes[0].name).toEqual('B1');
+    expect(legends[0].classes[0].icons[0]).toMatch(/^data:image\/png/);
+  });
+
+  it('evaluates the styles for the print resolution', () => {
+    const styleSpy = jest.fn(() => null);
+    const manager = new MapFishPrintV2Manager({
+      map: new OlMap({
+        layers: [new OlLayerVector({
+          source: new OlSourceVector({
+            features: [new OlFeature(new OlGeomLineString([[0, 0], [10, 10]]))]
+          }),
+          style: styleSpy
+        })],
+        view: new OlView({
+          center: [0, 0],
+          zoom: 2
+        })
+      }),
+      capabilities: mockResponse
+    });
+    manager.init();
+
+    manager.getPrintPayload();
+
+    expect(styleSpy).toHaveBeenCalled();
+    expect(styleSpy.mock.calls[0][1]).toBeCloseTo(manager.getPrintResolution());
+  });
+
+  it('serializes the legends of nested layer groups', () => {
+    const manager = new MapFishPrintV2Manager({
+      map: new OlMap({
+        layers: [
+          new OlLayerGroup({
+            name: 'Dortmund',
+            layers: [
+              new OlLayerImage({
+                name: 'Kagawa',
+                source: new OlSourceImageWMS({
+                  url: 'https://bvb.de',
+                  params: {
+                    LAYERS: 'SHINJI:KAGAWA'
+                  }
+                })
+              })
+            ]
+          })
+        ],
+        view: new OlView({
+          center: [0, 0],
+          zoom: 2
+        })
+      }),
+      capabilities: mockResponse
+    });
+    manager.init();
+
+    const legends = manager.getPrintPayload().legends;
+
+    expect(legends.length).toEqual(1);
+    expect(legends[0].name).toEqual('Kagawa');
+    expect(legends[0].classes[0].name).toEqual('');
+    expect(legends[0].classes[0].icons[0]).toMatch(/REQUEST=GetLegendGraphic/);
+  });
+
+  describe('#validatePayload', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new MapFishPrintV2Manager({
+        method: 'POST',
+        map: testMap,
+        capabilities: mockResponse
+      });
+      manager.init();
+    });
+
+    it('returns no errors for a valid payload', () => {
+      expect(manager.validatePayload()).toEqual([]);
+    });
+
+    it('returns the errors of an invalid payload', () => {
+      const payload = {
+        ...manager.getPrintPayload(),
+        outputFormat: 'docx',
+        dpi: 600,
+        layers: [{
+          type: 'Vector'
+        }, {
+          type: 'geojson'
+        }]
+      };
+      payload.pages[0].scale = 1909;
+
+      const errors = manager.validatePayload(payload);
+
+      expect(errors.map(error => error.code)).toEqual([
+        'invalidOutputFormat',
+        'invalidDpi',
+        'invalidScale',
+        'invalidLayerType'
+      ]);
+      expect(errors[3].path).toEqual('layers.1.type');
+    });
+
+    it('doesn\'t send an invalid payload if validation is requested', () => {
+      manager.customParams = {
+        dpi: 600
+      };
+
+      return manager.print(false, {
+        validate: true
+      })
+        .catch(error => {
+          expect(error.errors[0].code).toEqual('invalidDpi');
+          expect(error.errors[0].path).toEqual('dpi');
+          expect(fetch).not.toHaveBeenCalled();
+        });
+    });
+  });
+
 });
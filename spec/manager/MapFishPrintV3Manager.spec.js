@@ -1,8 +1,31 @@
 /*eslint-env jest*/
 import OlMap from 'ol/Map';
 import OlView from 'ol/View';
+import OlLayerImage from 'ol/layer/Image';
+import OlLayerVector from 'ol/layer/Vector';
+import OlLayerGroup from 'ol/layer/Group';
+import OlLayerTile from 'ol/layer/Tile';
+import OlSourceXYZ from 'ol/source/XYZ';
+import OlSourceImageArcGISRest from 'ol/source/ImageArcGISRest';
+import OlSourceImageWMS from 'ol/source/ImageWMS';
+import OlSourceVector from 'ol/source/Vector';
+import OlFeature from 'ol/Feature';
+import OlGeomPoint from 'ol/geom/Point';
+import OlStyleStyle from 'ol/style/Style';
+import OlStyleCircle from 'ol/style/Circle';
+import OlStyleFill from 'ol/style/Fill';
+import OlSourceImageCanvas from 'ol/source/ImageCanvas';
+import OlSourceImageStatic from 'ol/source/ImageStatic';
+import OlGeomLineString from 'ol/geom/LineString';
+import OlGeomPolygon from 'ol/geom/Polygon';
+import { getHeight, getWidth } from 'ol/extent';
+import { get as getProjection, transformExtent } from 'ol/proj';
 
 import { MapFishPrintV3Manager } from '../../src/manager/MapFishPrintV3Manager';
+import { PrintJob } from '../../src/job/PrintJob';
+import MapFishPrintV3WMSSerializer from '../../src/serializer/MapFishPrintV3WMSSerializer';
+import Logger from '../../src/util/Logger';
+import BaseLegendProvider from '../../src/legend/BaseLegendProvider';
 
 import printAppsMockResponse from '../../assets/v3/apps.json';
 import  printCapabilitiesMockResponse from '../../assets/v3/capabilities.json';
@@ -21,6 +44,26 @@ describe('MapFishPrintV3Manager', () => {
     expect(MapFishPrintV3Manager).not.toBeUndefined();
   });
 
+  it('applies the given options', () => {
+    const serializers = [MapFishPrintV3WMSSerializer];
+    const manager = new MapFishPrintV3Manager({
+      map: testMap,
+      url: 'https://mock:8080/print',
+      serializers,
+      customMapParams: {
+        foo: 'bar'
+      },
+      maxConcurrentPrintJobs: 1
+    });
+
+    expect(manager.url).toEqual('https://mock:8080/print/');
+    expect(manager.serializers).toBe(serializers);
+    expect(manager.customMapParams).toEqual({
+      foo: 'bar'
+    });
+    expect(manager.maxConcurrentPrintJobs).toEqual(1);
+  });
+
   it('loads the print capabilities from a remote source', () => {
     fetch.mockResponses([
       JSON.stringify(printAppsMockResponse)
@@ -71,7 +114,7 @@ describe('MapFishPrintV3Manager', () => {
       map: testMap,
       url: 'https://mock:8080/print/pdf/'
     });
-    manager.init();
+    manager.init().catch(() => {});
 
     return manager.loadPrintApps()
       .then(resp => {
@@ -90,7 +133,7 @@ describe('MapFishPrintV3Manager', () => {
       map: testMap,
       url: 'https://mock:8080/print/pdf/'
     });
-    manager.init();
+    manager.init().catch(() => {});
 
     const printApp = 'default';
 
@@ -111,4 +154,1713 @@ describe('MapFishPrintV3Manager', () => {
     });
   });
 
+  describe('#rasterizeLayers', () => {
+    let map;
+    let unsupportedLayer;
+
+    beforeEach(() => {
+      unsupportedLayer = new OlLayerImage({
+        name: 'Canvas',
+        opacity: 0.5,
+        source: new OlSourceImageCanvas({
+          canvasFunction: () => document.createElement('canvas')
+        })
+      });
+      map = new OlMap({
+        layers: [unsupportedLayer],
+        view: new OlView({
+          center: [0, 0],
+          zoom: 2
+        })
+      });
+    });
+
+    it('doesn\'t rasterize any layer by default', () => {
+      const manager = new MapFishPrintV3Manager({
+        map,
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+      manager.rasterizeLayer = jest.fn();
+
+      return manager.rasterizeLayers()
+        .then(rasterizedLayers => {
+          expect(manager.rasterizeLayer).not.toHaveBeenCalled();
+          expect(rasterizedLayers).toEqual({});
+          expect(manager.getPrintPayload({
+            rasterizedLayers
+          }).attributes.map.layers).toEqual([]);
+        });
+    });
+
+    it('prints layers without serializer as image if requested', () => {
+      const manager = new MapFishPrintV3Manager({
+        map,
+        capabilities: printCapabilitiesMockResponse,
+        rasterizeUnsupportedLayers: true
+      });
+      manager.init();
+
+      const imageExtent = [0, 0, 10, 10];
+      manager.rasterizeLayer = jest.fn(layer => Promise.resolve(new OlLayerImage({
+        name: layer.get('name'),
+        opacity: layer.getOpacity(),
+        source: new OlSourceImageStatic({
+          url: 'data:image/png;base64,AAAA',
+          imageExtent
+        })
+      })));
+
+      return manager.rasterizeLayers()
+        .then(rasterizedLayers => {
+          expect(manager.rasterizeLayer).toHaveBeenCalledTimes(1);
+          expect(manager.rasterizeLayer).toHaveBeenCalledWith(unsupportedLayer,
+            manager.getActivePage());
+          // the rasterized layers only belong to the given print state
+          expect(manager.getPrintPayload().attributes.map.layers).toEqual([]);
+          expect(manager.getPrintPayload({
+            rasterizedLayers
+          }).attributes.map.layers).toEqual([{
+            baseURL: 'data:image/png;base64,AAAA',
+            extent: imageExtent,
+            failOnError: false,
+            imageFormat: 'image/png',
+            name: 'Canvas',
+            opacity: 0.5,
+            rasterStyle: undefined,
+            type: 'image'
+          }]);
+        });
+    });
+
+    it('rasterizes the layers for every page separately', () => {
+      const manager = new MapFishPrintV3Manager({
+        map,
+        capabilities: printCapabilitiesMockResponse,
+        rasterizeUnsupportedLayers: true
+      });
+      manager.init();
+      manager.setPages([{
+        center: [0, 0],
+        scale: 5000
+      }, {
+        center: [1000, 0],
+        scale: 5000
+      }]);
+
+      manager.rasterizeLayer = jest.fn((layer, page) => Promise.resolve(new OlLayerImage({
+        source: new OlSourceImageStatic({
+          url: 'data:image/png;base64,AAAA',
+          imageExtent: page.getGeometry().getExtent()
+        })
+      })));
+
+      return manager.rasterizeLayers()
+        .then(rasterizedLayers => {
+          const pages = manager.getPages();
+          const datasource = manager.getPrintPayload({
+            rasterizedLayers
+          }).attributes.datasource;
+
+          expect(manager.rasterizeLayer).toHaveBeenCalledTimes(2);
+          expect(manager.rasterizeLayer).toHaveBeenCalledWith(unsupportedLayer, pages[0]);
+          expect(manager.rasterizeLayer).toHaveBeenCalledWith(unsupportedLayer, pages[1]);
+          expect(datasource[0].map.layers[0].extent)
+            .toEqual(pages[0].getGeometry().getExtent());
+          expect(datasource[1].map.layers[0].extent)
+            .toEqual(pages[1].getGeometry().getExtent());
+        });
+    });
+  });
+
+  describe('#serializeLayer', () => {
+    it('passes the custom serializer options of the layer', () => {
+      const layer = new OlLayerImage({
+        source: new OlSourceImageWMS({
+          url: 'https://ows.terrestris.de/osm/service',
+          params: {
+            LAYERS: 'OSM-WMS'
+          }
+        })
+      });
+      layer.set(MapFishPrintV3Manager.CUSTOM_PRINT_SERIALIZER_OPTS_KEY, {
+        serverType: 'GEOSERVER'
+      });
+      const manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [layer],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+
+      expect(manager.serializeLayer(layer).serverType).toEqual('GEOSERVER');
+    });
+  });
+
+  describe('layer groups', () => {
+    it('prints the layers with their effective group state', () => {
+      const visibleLayer = new OlLayerImage({
+        name: 'Visible',
+        opacity: 0.5,
+        source: new OlSourceImageStatic({
+          url: 'data:image/png;base64,AAAA',
+          imageExtent: [0, 0, 10, 10]
+        })
+      });
+      const hiddenLayer = new OlLayerImage({
+        name: 'Hidden',
+        source: new OlSourceImageStatic({
+          url: 'data:image/png;base64,AAAA',
+          imageExtent: [0, 0, 10, 10]
+        })
+      });
+      const manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [
+            new OlLayerGroup({
+              opacity: 0.5,
+              maxResolution: 10,
+              layers: [
+                visibleLayer,
+                new OlLayerGroup({
+                  visible: false,
+                  layers: [hiddenLayer]
+                })
+              ]
+            })
+          ],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+      manager.setScale(10000);
+
+      expect(manager.filterPrintableLayer(hiddenLayer)).toBe(false);
+      expect(manager.getLayerState(visibleLayer)).toEqual({
+        visible: true,
+        opacity: 0.25,
+        minResolution: 0,
+        maxResolution: 10
+      });
+
+      const layers = manager.getPrintPayload().attributes.map.layers;
+
+      expect(layers.length).toEqual(1);
+      expect(layers[0].name).toEqual('Visible');
+      expect(layers[0].opacity).toEqual(0.25);
+      expect(layers[0].maxScaleDenominator).toBeCloseTo(35714.21, 1);
+    });
+
+    it('determines the layer states once per payload', () => {
+      const layerGroup = new OlLayerGroup({
+        layers: [1, 2, 3].map(idx => new OlLayerImage({
+          name: `Layer ${idx}`,
+          source: new OlSourceImageStatic({
+            url: 'data:image/png;base64,AAAA',
+            imageExtent: [0, 0, 10, 10]
+          })
+        }))
+      });
+      const manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [layerGroup],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+
+      const layerStatesSpy = jest.spyOn(manager.map.getLayerGroup(),
+        'getLayerStatesArray');
+
+      expect(manager.getPrintPayload().attributes.map.layers.length).toEqual(3);
+      expect(layerStatesSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('#getPrintResolution', () => {
+    it('returns the resolution for the current scale and dpi', () => {
+      const manager = new MapFishPrintV3Manager({
+        map: testMap,
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+      manager.setScale(10000);
+      manager.setDpi(72);
+
+      expect(manager.getPrintResolution()).toBeCloseTo(10000 / 39.37 / 72);
+    });
+
+    it('evaluates the styles for the print resolution', () => {
+      const styleSpy = jest.fn(() => new OlStyleStyle({
+        image: new OlStyleCircle({
+          radius: 5,
+          fill: new OlStyleFill({
+            color: '#fde100'
+          })
+        })
+      }));
+      const manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [
+            new OlLayerVector({
+              source: new OlSourceVector({
+                features: [new OlFeature(new OlGeomPoint([0, 0]))]
+              }),
+              style: styleSpy
+            })
+          ],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+      manager.setScale(10000);
+      manager.setDpi(72);
+
+      manager.getPrintPayload();
+
+      expect(styleSpy).toHaveBeenCalled();
+      styleSpy.mock.calls.forEach(call => {
+        expect(call[1]).toBeCloseTo(10000 / 39.37 / 72);
+      });
+    });
+
+    it('skips layers not visible at the print resolution', () => {
+      const layer = new OlLayerImage({
+        name: 'Detail',
+        maxResolution: 5,
+        source: new OlSourceImageStatic({
+          url: 'data:image/png;base64,AAAA',
+          imageExtent: [0, 0, 10, 10]
+        })
+      });
+      const manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [layer],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+      manager.setDpi(72);
+
+      manager.setScale(10000);
+      expect(manager.filterPrintableLayer(layer)).toBe(true);
+
+      manager.setScale(25000);
+      expect(manager.filterPrintableLayer(layer)).toBe(false);
+      expect(manager.getPrintPayload().attributes.map.layers).toEqual([]);
+    });
+  });
+
+  describe('layout client info', () => {
+    let manager;
+
+    beforeEach(() => {
+      const capabilities = JSON.parse(JSON.stringify(printCapabilitiesMockResponse));
+      const [portrait, landscape] = capabilities.layouts.map(layout => {
+        return layout.attributes.find(attribute => attribute.name === 'map');
+      });
+      portrait.clientInfo.scales = [1000, 5000, 25000];
+      landscape.clientInfo.scales = [5000, 50000];
+      landscape.clientInfo.maxDPI = 120;
+
+      manager = new MapFishPrintV3Manager({
+        map: testMap,
+        capabilities
+      });
+      manager.init();
+    });
+
+    it('uses the scales and dpis of the current layout', () => {
+      expect(manager.getScales()).toEqual([1000, 5000, 25000]);
+      expect(manager.getDpis()).toEqual([72, 120, 200, 254]);
+      expect(manager.getMaxDpi()).toEqual(254);
+      expect(manager.getScales()).toContain(manager.getScale());
+
+      manager.setDpi(200);
+      manager.setScale(5000);
+      manager.setLayout('A4 landscape');
+
+      expect(manager.getScales()).toEqual([5000, 50000]);
+      expect(manager.getDpis()).toEqual([72, 120]);
+      expect(manager.getMaxDpi()).toEqual(120);
+      expect(manager.getScale()).toEqual(5000);
+      expect(manager.getDpi()).toEqual(72);
+    });
+
+    it('rejects dpis above the maximum dpi', () => {
+      manager.setLayout('A4 landscape');
+      manager.setDpi(120);
+      manager.setDpi(200);
+
+      expect(manager.getDpi()).toEqual(120);
+    });
+
+    it('changes the scale if not supported by the layout', () => {
+      const scaleSpy = jest.fn();
+      manager.on('change:scale', scaleSpy);
+
+      manager.setScale(25000);
+      manager.setLayout('A4 landscape');
+
+      expect(manager.getScale()).toEqual(50000);
+      expect(scaleSpy).toHaveBeenLastCalledWith(50000);
+    });
+
+    it('prefers custom print scales', () => {
+      const customManager = new MapFishPrintV3Manager({
+        map: testMap,
+        capabilities: printCapabilitiesMockResponse,
+        customPrintScales: [2500, 10000]
+      });
+      customManager.init();
+
+      expect(customManager.getScales()).toEqual([2500, 10000]);
+    });
+  });
+
+  describe('layout attributes', () => {
+    let manager;
+
+    beforeEach(() => {
+      const capabilities = JSON.parse(JSON.stringify(printCapabilitiesMockResponse));
+      capabilities.layouts[0].attributes.push({
+        name: 'title',
+        type: 'String',
+        default: 'Signal Iduna Park'
+      }, {
+        name: 'comments',
+        type: 'String'
+      }, {
+        name: 'showNorthArrow',
+        type: 'boolean',
+        default: true
+      }, {
+        name: 'table',
+        type: 'TableAttributeValue',
+        clientParams: {
+          columns: {
+            type: 'String',
+            isArray: true
+          },
+          data: {
+            type: 'String',
+            isArray: true
+          }
+        },
+        default: null
+      });
+
+      manager = new MapFishPrintV3Manager({
+        map: testMap,
+        capabilities
+      });
+      manager.init();
+    });
+
+    it('returns the editable attributes of the current layout', () => {
+      const attributes = manager.getEditableAttributes();
+
+      expect(attributes.map(attribute => attribute.name))
+        .toEqual(['title', 'comments', 'showNorthArrow', 'table']);
+      expect(attributes[0]).toEqual(expect.objectContaining({
+        type: 'String',
+        default: 'Signal Iduna Park',
+        required: false
+      }));
+      expect(attributes[1].required).toBe(true);
+
+      manager.setLayout('A4 landscape');
+
+      expect(manager.getEditableAttributes()).toEqual([]);
+    });
+
+    it('sets and validates the attribute values', () => {
+      const changeSpy = jest.fn();
+      manager.on('change:attribute', changeSpy);
+
+      expect(manager.getAttributeValue('title')).toEqual('Signal Iduna Park');
+      expect(manager.setAttributeValue('title', 'Westfalenstadion')).toBe(true);
+      expect(manager.getAttributeValue('title')).toEqual('Westfalenstadion');
+      expect(changeSpy).toHaveBeenCalledWith({
+        name: 'title',
+        value: 'Westfalenstadion'
+      });
+
+      expect(manager.setAttributeValue('showNorthArrow', 'yes')).toBe(false);
+      expect(manager.setAttributeValue('table', {columns: ['a']})).toBe(false);
+      expect(manager.setAttributeValue('table', {
+        columns: ['name'],
+        data: [['Reus']]
+      })).toBe(true);
+      expect(manager.setAttributeValue('map', {})).toBe(false);
+
+      expect(manager.validateAttributeValues()).toEqual([{
+        name: 'comments',
+        message: 'The attribute \'comments\' is required.'
+      }]);
+
+      manager.setAttributeValue('comments', 'Echte Liebe');
+
+      expect(manager.validateAttributeValues()).toEqual([]);
+    });
+
+    it('merges the attribute values into the payload', () => {
+      manager.setAttributeValue('title', 'Westfalenstadion');
+      manager.setAttributeValue('showNorthArrow', false);
+      manager.customParams = {
+        showNorthArrow: true
+      };
+
+      const attributes = manager.getPrintPayload().attributes;
+
+      expect(attributes.title).toEqual('Westfalenstadion');
+      expect(attributes.showNorthArrow).toBe(true);
+      expect(attributes.comments).toBeUndefined();
+
+      manager.setLayout('A4 landscape');
+
+      expect(manager.getPrintPayload().attributes.title).toBeUndefined();
+    });
+  });
+
+  describe('pages', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+    });
+
+    it('initializes a single page', () => {
+      expect(manager.getPages().length).toEqual(1);
+      expect(manager.getActivePage()).toBe(manager.getPages()[0]);
+      expect(manager.extentLayer.getSource().getFeatures().length).toEqual(1);
+    });
+
+    it('adds, activates and removes pages', () => {
+      const changeSpy = jest.fn();
+      manager.on('change:pages', changeSpy);
+
+      const page = manager.addPage({
+        center: [1000, 1000],
+        scale: 5000,
+        rotation: 45
+      });
+
+      expect(manager.getPages().length).toEqual(2);
+      expect(manager.getActivePage()).toBe(page);
+      expect(manager.getScale()).toEqual(5000);
+      expect(manager.extentLayer.getSource().getFeatures().length).toEqual(2);
+
+      const pageSpec = manager.getPageSpec(page);
+      expect(pageSpec.center[0]).toBeCloseTo(1000);
+      expect(pageSpec.center[1]).toBeCloseTo(1000);
+      expect(pageSpec.scale).toEqual(5000);
+      expect(pageSpec.rotation).toBeCloseTo(45);
+
+      manager.removePage(page);
+
+      expect(manager.getPages().length).toEqual(1);
+      expect(manager.getActivePage()).toBe(manager.getPages()[0]);
+      expect(changeSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('doesn\'t remove the last page', () => {
+      manager.removePage(manager.getActivePage());
+
+      expect(manager.getPages().length).toEqual(1);
+    });
+
+    it('applies the scale to the active page only', () => {
+      const firstPage = manager.getActivePage();
+      const firstExtent = firstPage.getGeometry().getExtent();
+
+      manager.addPage({
+        center: [0, 0],
+        scale: 5000
+      });
+      manager.setScale(10000);
+
+      expect(firstPage.getGeometry().getExtent()).toEqual(firstExtent);
+      expect(manager.getPageSpec().scale).toEqual(10000);
+    });
+
+    it('prints multiple pages using the datasource attribute', () => {
+      manager.setPages([{
+        center: [0, 0],
+        scale: 5000
+      }, {
+        center: [1000, 0],
+        scale: 10000,
+        rotation: 90
+      }]);
+
+      const payload = manager.getPrintPayload();
+
+      expect(payload.attributes.map).toBeUndefined();
+      expect(payload.attributes.datasource.length).toEqual(2);
+      expect(payload.attributes.datasource[0].map.scale).toEqual(5000);
+      expect(payload.attributes.datasource[1].map.scale).toEqual(10000);
+      expect(payload.attributes.datasource[1].map.center[0]).toBeCloseTo(1000);
+      expect(payload.attributes.datasource[1].map.rotation).toBeCloseTo(90);
+    });
+
+    it('serializes the layers for the print resolution of every page', () => {
+      manager.setPages([{
+        center: [0, 0],
+        scale: 5000
+      }, {
+        center: [1000, 0],
+        scale: 50000
+      }]);
+      const pages = manager.getPages();
+      const resolutions = pages.map(page => manager.getPrintResolution(undefined, page));
+
+      expect(resolutions[1]).toBeCloseTo(resolutions[0] * 10);
+
+      manager.map.addLayer(new OlLayerImage({
+        name: 'Detail',
+        maxResolution: (resolutions[0] + resolutions[1]) / 2,
+        source: new OlSourceImageStatic({
+          url: 'data:image/png;base64,AAAA',
+          imageExtent: [0, 0, 10, 10]
+        })
+      }));
+
+      const datasource = manager.getPrintPayload().attributes.datasource;
+
+      expect(datasource[0].map.layers.map(layer => layer.name)).toEqual(['Detail']);
+      expect(datasource[1].map.layers).toEqual([]);
+    });
+
+    it('creates a grid of pages covering a geometry', () => {
+      manager.setLayout('A4 landscape');
+      const pageExtent = manager.calculatePrintExtent(5000, [0, 0]);
+      const pageWidth = getWidth(pageExtent);
+      const pageHeight = getHeight(pageExtent);
+      // an L-shaped polygon covering 2x2 pages, the upper right one is empty
+      const geometry = new OlGeomPolygon([[
+        [0, 0],
+        [pageWidth * 2, 0],
+        [pageWidth * 2, pageHeight * 0.9],
+        [pageWidth * 0.9, pageHeight * 0.9],
+        [pageWidth * 0.9, pageHeight * 2],
+        [0, pageHeight * 2],
+        [0, 0]
+      ]]);
+
+      manager.setLayout('A4 Portrait');
+
+      const pages = manager.createPageGrid(geometry, {
+        layout: 'A4 landscape',
+        scale: 5000
+      });
+
+      expect(manager.getLayout().name).toEqual('A4 landscape');
+      expect(pages.length).toEqual(3);
+      expect(manager.getPages()).toEqual(pages);
+      expect(manager.getPageSpec(pages[0]).scale).toEqual(5000);
+    });
+
+    it('respects the overlap of the pages in the grid', () => {
+      const pageExtent = manager.calculatePrintExtent(5000, [0, 0]);
+      const extent = [0, 0, getWidth(pageExtent) * 2, getHeight(pageExtent)];
+
+      expect(manager.createPageGrid(extent, {
+        scale: 5000
+      }).length).toEqual(2);
+      expect(manager.createPageGrid(extent, {
+        scale: 5000,
+        overlap: 10
+      }).length).toEqual(3);
+    });
+
+    it('creates rotated pages along a line', () => {
+      const pageWidth = getWidth(manager.calculatePrintExtent(5000, [0, 0]));
+      // two pages heading east, followed by two pages heading north
+      const lineString = new OlGeomLineString([
+        [0, 0],
+        [pageWidth * 2, 0],
+        [pageWidth * 2, pageWidth * 2]
+      ]);
+
+      const pages = manager.createStripPages(lineString, {
+        scale: 5000
+      });
+
+      expect(pages.length).toEqual(4);
+
+      const pageSpecs = pages.map(page => manager.getPageSpec(page));
+      expect(pageSpecs[0].center[0]).toBeCloseTo(pageWidth / 2);
+      expect(pageSpecs[0].center[1]).toBeCloseTo(0);
+      expect(pageSpecs[0].rotation).toBeCloseTo(0);
+      expect(pageSpecs[3].center[0]).toBeCloseTo(pageWidth * 2);
+      expect(pageSpecs[3].center[1]).toBeCloseTo(pageWidth * 1.5);
+      expect(pageSpecs[3].rotation).toBeCloseTo(90);
+      expect(pageSpecs[3].scale).toEqual(5000);
+    });
+
+    it('keeps the pages along a line upright', () => {
+      const pageWidth = getWidth(manager.calculatePrintExtent(5000, [0, 0]));
+      const offset = pageWidth * 3 / Math.SQRT2;
+      // two pages heading west, followed by pages heading south-west
+      const lineString = new OlGeomLineString([
+        [0, 0],
+        [-pageWidth * 2, 0],
+        [-pageWidth * 2 - offset, -offset]
+      ]);
+
+      const pages = manager.createStripPages(lineString, {
+        scale: 5000
+      });
+
+      const pageSpecs = pages.map(page => manager.getPageSpec(page));
+      expect(pageSpecs[0].center[0]).toBeCloseTo(-pageWidth / 2);
+      expect(pageSpecs[0].center[1]).toBeCloseTo(0);
+      expect(pageSpecs[0].rotation).toBeCloseTo(0);
+      expect(pageSpecs[3].rotation).toBeCloseTo(-45);
+    });
+
+    it('prints a single page using the map attribute', () => {
+      const payload = manager.getPrintPayload();
+
+      expect(payload.attributes.datasource).toBeUndefined();
+      expect(payload.attributes.map.scale).toEqual(manager.getScale());
+    });
+  });
+
+
+  describe('#print', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        url: 'https://mock:8080/print/'
+      });
+      manager.initManager(printCapabilitiesMockResponse);
+
+      // only respond to the requests of the print job, as pending requests of
+      // other tests may be resolved in the meantime.
+      fetch.mockResponse(req => {
+        if (req.url.includes('/report.')) {
+          return Promise.resolve(JSON.stringify({
+            ref: '1909',
+            statusURL: '/print/status/1909.json'
+          }));
+        }
+        if (req.url.endsWith('/status/1909.json')) {
+          return Promise.resolve(JSON.stringify({
+            status: 'running'
+          }));
+        }
+        return Promise.resolve('');
+      });
+    });
+
+    afterEach(() => {
+      fetch.resetMocks();
+    });
+
+    it('returns a cancellable print job handle', () => {
+      expect.assertions(8);
+
+      const cancelledSpy = jest.fn();
+      manager.on('print:cancelled', cancelledSpy);
+      manager.on('print:start', () => manager.getPrintJob().cancel());
+
+      const printJob = manager.print();
+
+      expect(manager.getPrintJob()).toBe(printJob);
+      expect(printJob.promise).toBeInstanceOf(Promise);
+
+      return printJob.catch(error => {
+        const cancelCall = fetch.mock.calls.find(call => {
+          return call[0] === 'https://mock:8080/print/cancel/1909';
+        });
+
+        expect(error).toEqual('The print job was cancelled.');
+        expect(printJob.ref).toEqual('1909');
+        expect(cancelCall[1].method).toEqual('DELETE');
+        expect(cancelledSpy).toHaveBeenCalledTimes(1);
+        expect(cancelledSpy.mock.calls[0][0].ref).toEqual('1909');
+        expect(manager.getPrintJob()).toBeNull();
+      });
+    });
+
+    it('logs failed cancellations via the given signal', () => {
+      expect.assertions(2);
+
+      const errorSpy = jest.spyOn(Logger, 'error').mockImplementation(() => {});
+      const abortController = new AbortController();
+      manager.on('print:start', () => abortController.abort());
+
+      fetch.mockResponse(req => {
+        if (req.url.includes('/report.')) {
+          return Promise.resolve(JSON.stringify({
+            ref: '1909',
+            statusURL: '/print/status/1909.json'
+          }));
+        }
+        if (req.url.includes('/cancel/')) {
+          return Promise.resolve({
+            body: '',
+            status: 500
+          });
+        }
+        return Promise.resolve(JSON.stringify({
+          status: 'running'
+        }));
+      });
+
+      return manager.print(false, {
+        signal: abortController.signal
+      }).promise.catch(error => {
+        expect(error).toEqual('The print job was cancelled.');
+        // wait for the failed cancel request
+        return new Promise(resolve => setTimeout(resolve, 10));
+      }).then(() => {
+        expect(errorSpy).toHaveBeenCalledWith('Could not cancel the print job.');
+        errorSpy.mockRestore();
+      });
+    });
+
+    it('removes the abort listener of the signal once the job is done', () => {
+      expect.assertions(3);
+
+      const abortController = new AbortController();
+      const addSpy = jest.spyOn(abortController.signal, 'addEventListener');
+      const removeSpy = jest.spyOn(abortController.signal, 'removeEventListener');
+      manager.on('print:start', () => manager.getPrintJob().cancel());
+
+      return manager.print(false, {
+        signal: abortController.signal
+      }).promise.catch(error => {
+        const listener = addSpy.mock.calls[0][1];
+
+        expect(error).toEqual('The print job was cancelled.');
+        expect(addSpy.mock.calls[0][2]).toEqual({once: true});
+        expect(removeSpy).toHaveBeenCalledWith('abort', listener);
+      });
+    });
+
+    it('rejects if the print job fails while polling', () => {
+      expect.assertions(2);
+
+      fetch.mockResponse(req => {
+        if (req.url.includes('/report.')) {
+          return Promise.resolve(JSON.stringify({
+            ref: '1909',
+            statusURL: '/print/status/1909.json'
+          }));
+        }
+        return Promise.resolve(JSON.stringify({
+          status: 'error',
+          error: 'Peng!'
+        }));
+      });
+
+      const printJob = manager.print();
+
+      return printJob.catch(error => {
+        expect(error).toEqual('Error while executing the print job: ' +
+          'There was an error executing the job: Peng!');
+        expect(printJob.status).toEqual('error');
+      });
+    });
+
+    it('cancels the print job via the given signal', () => {
+      expect.assertions(2);
+
+      const cancelledSpy = jest.fn();
+      const abortController = new AbortController();
+      manager.on('print:cancelled', cancelledSpy);
+      abortController.abort();
+
+      return manager.print(false, {
+        signal: abortController.signal
+      }).promise.catch(error => {
+        expect(error).toEqual('The print job was cancelled.');
+        expect(cancelledSpy).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('vector legends', () => {
+    let manager;
+    let layer;
+
+    beforeEach(() => {
+      /**
+       * @ignore
+       */
+      const getStyle = color => new OlStyleStyle({
+        image: new OlStyleCircle({
+          radius: 5,
+          fill: new OlStyleFill({
+            color
+          })
+        })
+      });
+
+      layer = new OlLayerVector({
+        name: 'Stadiums',
+        source: new OlSourceVector({
+          features: [
+            new OlFeature({
+              geometry: new OlGeomPoint([0, 0]),
+              club: 'BVB'
+            }),
+            new OlFeature({
+              geometry: new OlGeomPoint([10, 10]),
+              club: 'BVB'
+            }),
+            new OlFeature({
+              geometry: new OlGeomPoint([20, 20]),
+              club: 'S04'
+            })
+          ]
+        }),
+        style: feature => getStyle(feature.get('club') === 'BVB' ? '#fde100' : '#004d9d')
+      });
+
+      manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [layer],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+    });
+
+    it('serializes a legend class per distinct style', () => {
+      const legend = manager.getPrintPayload().attributes.legend;
+
+      expect(legend.classes.length).toEqual(1);
+      expect(legend.classes[0].name).toEqual('Stadiums');
+      expect(legend.classes[0].classes.length).toEqual(2);
+      expect(legend.classes[0].classes[0].name).toEqual('');
+      expect(legend.classes[0].classes[0].icons[0]).toMatch(/^data:image\/png/);
+    });
+
+    it('labels the legend classes by the configured property', () => {
+      layer.getSource().getFeatures()[1].set('club', 'Borussia');
+      layer.set('customPrintLegendProperty', 'club');
+
+      const legend = manager.getPrintPayload().attributes.legend;
+
+      expect(legend.classes[0].classes.map(cls => cls.name))
+        .toEqual(['BVB', 'Borussia', 'S04']);
+    });
+  });
+
+  describe('print projection', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [
+            new OlLayerVector({
+              source: new OlSourceVector({
+                features: [
+                  new OlFeature({
+                    geometry: new OlGeomPoint([1113194.9079327357, 6800125.454397307])
+                  })
+                ]
+              }),
+              style: new OlStyleStyle({
+                image: new OlStyleCircle({
+                  radius: 5,
+                  fill: new OlStyleFill({
+                    color: '#ff0000'
+                  })
+                })
+              })
+            })
+          ],
+          view: new OlView({
+            center: [1113194.9079327357, 6800125.454397307],
+            zoom: 10
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+    });
+
+    it('prints in the projection of the map view by default', () => {
+      const map = manager.getPrintPayload().attributes.map;
+
+      expect(manager.getPrintProjection().getCode()).toEqual('EPSG:3857');
+      expect(map.projection).toEqual('EPSG:3857');
+      expect(map.center[0]).toBeCloseTo(1113194.9079327357);
+      expect(map.layers[0].geoJson.features[0].geometry.coordinates[0])
+        .toBeCloseTo(1113194.9079327357);
+    });
+
+    it('transforms the center and the features into the print projection', () => {
+      manager.printProjection = 'EPSG:4326';
+
+      const map = manager.getPrintPayload().attributes.map;
+      const coordinates = map.layers[0].geoJson.features[0].geometry.coordinates;
+
+      expect(map.projection).toEqual('EPSG:4326');
+      expect(map.center[0]).toBeCloseTo(10, 6);
+      expect(map.center[1]).toBeCloseTo(52, 6);
+      expect(coordinates[0]).toBeCloseTo(10, 6);
+      expect(coordinates[1]).toBeCloseTo(52, 6);
+    });
+
+    it('updates the pages if the print projection changes', () => {
+      const changeSpy = jest.fn();
+      manager.on('change:printprojection', changeSpy);
+
+      manager.setPrintProjection('EPSG:4326');
+
+      const printExtent = transformExtent(
+        manager.getActivePage().getGeometry().getExtent(), 'EPSG:3857',
+        'EPSG:4326');
+      const {
+        width,
+        height
+      } = manager.getPrintExtentSize(manager.getPrintMapSize(),
+        manager.getScale());
+
+      expect(changeSpy).toHaveBeenCalledWith(getProjection('EPSG:4326'));
+      expect(getWidth(printExtent)).toBeCloseTo(width, 6);
+      expect(getHeight(printExtent)).toBeCloseTo(height, 6);
+      expect(manager.getPrintPageSpec().center[1]).toBeCloseTo(52, 6);
+    });
+
+    it('calculates the print resolution in the print projection', () => {
+      manager.setPrintProjection('EPSG:4326');
+      manager.setScale(25000);
+      manager.setDpi(72);
+
+      expect(manager.getPrintResolution(getProjection('EPSG:4326')))
+        .toBeCloseTo(25000 / 4374754 / 72, 10);
+      // the resolution in the projection of the map view considers the
+      // scale distortion of web mercator at 52° north
+      expect(manager.getPrintResolution()).toBeGreaterThan(25000 / 39.37 / 72);
+    });
+
+    it('ignores unknown print projections', () => {
+      manager.setPrintProjection('EPSG:4326');
+      manager.setPrintProjection('EPSG:0815');
+
+      expect(manager.getPrintProjection().getCode()).toEqual('EPSG:4326');
+    });
+
+    it('requests WMS layers in the print projection', () => {
+      manager.map.addLayer(new OlLayerImage({
+        source: new OlSourceImageWMS({
+          url: 'https://ows.terrestris.de/osm/service',
+          params: {
+            LAYERS: 'OSM-WMS',
+            SRS: 'EPSG:3857',
+            TRANSPARENT: true
+          }
+        })
+      }));
+      manager.setPrintProjection('EPSG:4326');
+
+      const map = manager.getPrintPayload().attributes.map;
+      const wmsLayer = map.layers.find(layer => layer.type === 'wms');
+
+      expect(map.projection).toEqual('EPSG:4326');
+      expect(wmsLayer.customParams).toEqual({
+        TRANSPARENT: true
+      });
+    });
+  });
+
+  describe('legend providers', () => {
+
+    afterEach(() => {
+      fetch.resetMocks();
+    });
+
+    it('serializes nested layer groups as hierarchical legend', () => {
+      const manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [
+            new OlLayerGroup({
+              name: 'Dortmund',
+              layers: [
+                new OlLayerTile({
+                  name: 'Basemap',
+                  legendUrl: 'https://bvb.de/basemap.png',
+                  source: new OlSourceXYZ({
+                    url: 'https://bvb.de/{z}/{x}/{y}.png'
+                  })
+                }),
+                new OlLayerGroup({
+                  name: 'Empty',
+                  layers: []
+                }),
+                new OlLayerTile({
+                  name: 'Hidden',
+                  visible: false,
+                  legendUrl: 'https://bvb.de/hidden.png',
+                  source: new OlSourceXYZ({
+                    url: 'https://bvb.de/{z}/{x}/{y}.png'
+                  })
+                })
+              ]
+            })
+          ],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+
+      expect(manager.getPrintPayload().attributes.legend.classes).toEqual([{
+        name: 'Dortmund',
+        classes: [{
+          name: 'Basemap',
+          icons: ['https://bvb.de/basemap.png']
+        }]
+      }]);
+    });
+
+    it('applies the legend filter to the layers of groups only', () => {
+      const legendFilter = jest.fn(layer => layer.getSource() instanceof OlSourceXYZ);
+      const manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [
+            new OlLayerGroup({
+              name: 'Dortmund',
+              layers: [
+                new OlLayerTile({
+                  name: 'Basemap',
+                  legendUrl: 'https://bvb.de/basemap.png',
+                  source: new OlSourceXYZ({
+                    url: 'https://bvb.de/{z}/{x}/{y}.png'
+                  })
+                })
+              ]
+            })
+          ],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse,
+        legendFilter
+      });
+      manager.init();
+
+      expect(manager.getPrintPayload().attributes.legend.classes).toEqual([{
+        name: 'Dortmund',
+        classes: [{
+          name: 'Basemap',
+          icons: ['https://bvb.de/basemap.png']
+        }]
+      }]);
+      legendFilter.mock.calls.forEach(([layer]) => {
+        expect(layer).not.toBeInstanceOf(OlLayerGroup);
+      });
+    });
+
+    it('loads the legends of asynchronous providers before printing', () => {
+      fetch.mockResponse(req => {
+        if (req.url.endsWith('/legend?f=json')) {
+          return Promise.resolve(JSON.stringify({
+            layers: [{
+              layerId: 0,
+              layerName: 'Stadiums',
+              legend: [{
+                label: 'Westfalenstadion',
+                contentType: 'image/png',
+                imageData: 'AAAA'
+              }]
+            }]
+          }));
+        }
+        return Promise.resolve('');
+      });
+
+      const manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [
+            new OlLayerImage({
+              name: 'Stadiums',
+              source: new OlSourceImageArcGISRest({
+                url: 'https://bvb.de/arcgis/rest/services/Dortmund/MapServer'
+              })
+            })
+          ],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+
+      expect(manager.getPrintPayload().attributes.legend.classes).toEqual([]);
+      expect(fetch).not.toHaveBeenCalled();
+
+      return manager.loadLegends()
+        .then(legendClasses => {
+          expect(manager.getPrintPayload({
+            legendClasses
+          }).attributes.legend.classes).toEqual([{
+            name: 'Stadiums',
+            classes: [{
+              name: 'Westfalenstadion',
+              icons: ['data:image/png;base64,AAAA']
+            }]
+          }]);
+        });
+    });
+
+    it('warns about failing legend providers', () => {
+      /**
+       * @ignore
+       */
+      class FailingLegendProvider extends BaseLegendProvider {
+        static sourceCls = [OlSourceXYZ];
+
+        /**
+         * @ignore
+         */
+        getLegendClasses() {
+          throw new Error('Peng!');
+        }
+      }
+
+      const warnSpy = jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+      const manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [
+            new OlLayerTile({
+              name: 'Basemap',
+              source: new OlSourceXYZ({
+                url: 'https://bvb.de/{z}/{x}/{y}.png'
+              })
+            }),
+            new OlLayerImage({
+              name: 'Stadiums',
+              // the provider can't determine the url of the service
+              source: new OlSourceImageArcGISRest({})
+            })
+          ],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+      manager.legendProviders = [FailingLegendProvider, ...manager.legendProviders];
+
+      return manager.loadLegends()
+        .then(legendClasses => {
+          expect(legendClasses).toEqual({});
+          expect(manager.getPrintPayload({
+            legendClasses
+          }).attributes.legend.classes).toEqual([]);
+          expect(warnSpy).toHaveBeenCalledWith(expect.stringMatching(
+            /^Could not load the legend of layer 'Stadiums'/));
+          expect(warnSpy).toHaveBeenCalledWith('Could not get the legend of ' +
+            'layer \'Basemap\': Peng!');
+          warnSpy.mockRestore();
+        });
+    });
+  });
+
+  describe('#validatePayload', () => {
+    let manager;
+
+    beforeEach(() => {
+      manager = new MapFishPrintV3Manager({
+        map: testMap,
+        capabilities: printCapabilitiesMockResponse
+      });
+      manager.init();
+    });
+
+    it('returns no errors for a valid payload', () => {
+      expect(manager.validatePayload()).toEqual([]);
+    });
+
+    it('returns the errors of an invalid payload', () => {
+      manager.customParams = {
+        tilte: 'Westfalenstadion'
+      };
+      manager.customMapParams = {
+        dpi: 600
+      };
+
+      const payload = manager.getPrintPayload();
+      payload.attributes.map.layers = [{
+        type: 'WMS'
+      }];
+
+      expect(manager.validatePayload(payload)).toEqual([{
+        code: 'unknownAttribute',
+        path: 'attributes.tilte',
+        message: 'The attribute \'tilte\' is not supported by the layout ' +
+          '\'A4 Portrait\'.'
+      }, {
+        code: 'invalidDpi',
+        path: 'attributes.map.dpi',
+        message: 'The dpi \'600\' exceeds the maximum dpi \'254\'.'
+      }, {
+        code: 'invalidLayerType',
+        path: 'attributes.map.layers.0.type',
+        message: 'The layer type \'WMS\' is not supported.'
+      }]);
+    });
+
+    it('validates the editable attributes', () => {
+      const capabilities = JSON.parse(JSON.stringify(printCapabilitiesMockResponse));
+      capabilities.layouts[0].attributes.push({
+        name: 'title',
+        type: 'String'
+      }, {
+        name: 'showNorthArrow',
+        type: 'boolean',
+        default: true
+      });
+      manager.initManager(capabilities);
+      manager.customParams = {
+        showNorthArrow: 'yes'
+      };
+
+      const errors = manager.validatePayload();
+
+      expect(errors.map(error => error.code))
+        .toEqual(['missingAttribute', 'invalidType']);
+      expect(errors.map(error => error.path))
+        .toEqual(['attributes.title', 'attributes.showNorthArrow']);
+    });
+
+    it('validates the maps of the datasource', () => {
+      manager.customParams = {
+        foo: []
+      };
+      manager.customMapParams = {
+        dpi: 600
+      };
+
+      expect(manager.validatePayload().map(error => error.path)).toEqual([
+        'attributes.foo',
+        'attributes.map.dpi'
+      ]);
+
+      manager.setPages([{
+        center: [0, 0]
+      }, {
+        center: [1000, 0]
+      }]);
+
+      expect(manager.validatePayload().map(error => error.path)).toEqual([
+        'attributes.datasource',
+        'attributes.foo',
+        'attributes.datasource.0.map.dpi',
+        'attributes.datasource.1.map.dpi'
+      ]);
+    });
+
+    it('validates the scales of the maps', () => {
+      const capabilities = JSON.parse(JSON.stringify(printCapabilitiesMockResponse));
+      capabilities.layouts[0].attributes[0].clientInfo.scales = [5000, 10000];
+      manager.initManager(capabilities);
+
+      const payload = manager.getPrintPayload();
+
+      expect(manager.validatePayload(payload)).toEqual([]);
+
+      payload.attributes.map.scale = 1909;
+
+      expect(manager.validatePayload(payload)).toEqual([{
+        code: 'invalidScale',
+        path: 'attributes.map.scale',
+        message: 'The scale \'1909\' is not supported.'
+      }]);
+    });
+
+    it('fails the print job if validation is requested', () => {
+      const errorSpy = jest.fn();
+      manager.on('print:error', errorSpy);
+      manager.customMapParams = {
+        dpi: 600
+      };
+
+      const printJob = manager.print(false, {
+        validate: true
+      });
+
+      return printJob.catch(() => {
+        expect(printJob.status).toEqual(PrintJob.STATUS_ERROR);
+        expect(printJob.validationErrors[0].code).toEqual('invalidDpi');
+        expect(errorSpy.mock.calls[0][0].validationErrors)
+          .toEqual(printJob.validationErrors);
+        expect(fetch).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('print job queue', () => {
+    let manager;
+
+    /**
+     * Waits for all pending callbacks to be executed.
+     *
+     * @return {Promise} Resolves after the pending callbacks.
+     */
+    const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+    beforeEach(() => {
+      manager = new MapFishPrintV3Manager({
+        map: new OlMap({
+          layers: [],
+          view: new OlView({
+            center: [0, 0],
+            zoom: 2
+          })
+        }),
+        url: 'https://mock:8080/print/',
+        maxConcurrentPrintJobs: 1,
+        pollingStrategy: () => 10
+      });
+      manager.initManager(printCapabilitiesMockResponse);
+
+      let jobCount = 0;
+      fetch.mockResponse(req => {
+        if (req.url.includes('/report.')) {
+          jobCount++;
+          return Promise.resolve(JSON.stringify({
+            ref: `ref-${jobCount}`,
+            statusURL: `/print/status/ref-${jobCount}.json`
+          }));
+        }
+        if (req.url.includes('/status/ref-')) {
+          return Promise.resolve(JSON.stringify({
+            status: 'running',
+            elapsedTime: 1000
+          }));
+        }
+        return Promise.resolve('');
+      });
+    });
+
+    afterEach(() => {
+      manager.getPrintJobs().forEach(printJob => printJob.cancel());
+      fetch.resetMocks();
+    });
+
+    it('queues the jobs exceeding the concurrency limit', () => {
+      const changeSpy = jest.fn();
+      manager.on('change:printjob', changeSpy);
+
+      const firstJob = manager.print();
+      const secondJob = manager.print();
+
+      expect(manager.getPrintJobs()).toEqual([firstJob, secondJob]);
+      expect(firstJob.status).toEqual('waiting');
+      expect(secondJob.status).toEqual('queued');
+      expect(manager.getPrintJobs('queued')).toEqual([secondJob]);
+
+      return flush()
+        .then(() => {
+          expect(firstJob.ref).toEqual('ref-1');
+          expect(firstJob.status).toEqual('running');
+          expect(firstJob.elapsedTime).toEqual(1000);
+          expect(secondJob.status).toEqual('queued');
+          expect(changeSpy).toHaveBeenCalledWith(firstJob);
+
+          return firstJob.cancel();
+        })
+        .then(flush)
+        .then(() => {
+          expect(firstJob.status).toEqual('cancelled');
+          expect(secondJob.status).not.toEqual('queued');
+          expect(manager.getPrintJob()).toBe(secondJob);
+        });
+    });
+
+    it('cancels and retries queued jobs', () => {
+      const firstJob = manager.print();
+      const secondJob = manager.print();
+
+      secondJob.cancel();
+
+      return secondJob.promise
+        .catch(error => {
+          expect(error).toEqual('The print job was cancelled.');
+          expect(secondJob.status).toEqual('cancelled');
+
+          secondJob.retry();
+
+          expect(secondJob.status).toEqual('queued');
+
+          manager.clearPrintJobs();
+
+          expect(manager.getPrintJobs()).toEqual([firstJob, secondJob]);
+
+          return firstJob.cancel();
+        })
+        .then(flush)
+        .then(() => {
+          manager.clearPrintJobs();
+
+          expect(manager.getPrintJobs()).toEqual([secondJob]);
+          expect(secondJob.status).not.toEqual('queued');
+        });
+    });
+
+    it('removes done jobs exceeding the limit or on demand', () => {
+      const warnSpy = jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+      manager.maxDonePrintJobs = 1;
+
+      const firstJob = manager.print();
+      const secondJob = manager.print();
+      const thirdJob = manager.print();
+
+      secondJob.cancel();
+      thirdJob.cancel();
+
+      expect(manager.getPrintJobs()).toEqual([firstJob, secondJob, thirdJob]);
+
+      const fourthJob = manager.print();
+
+      expect(manager.getPrintJobs()).toEqual([firstJob, thirdJob, fourthJob]);
+
+      manager.removePrintJob(firstJob);
+
+      expect(warnSpy).toHaveBeenCalledTimes(1);
+      expect(manager.getPrintJobs()).toEqual([firstJob, thirdJob, fourthJob]);
+
+      manager.removePrintJob(thirdJob);
+
+      expect(manager.getPrintJobs()).toEqual([firstJob, fourthJob]);
+
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('#pollUntilDone', () => {
+    let manager;
+    let printJob;
+
+    beforeEach(() => {
+      manager = new MapFishPrintV3Manager({
+        map: testMap,
+        url: 'https://mock:8080/print/'
+      });
+      printJob = new PrintJob({
+        ref: '1909',
+        _manager: manager
+      });
+    });
+
+    afterEach(() => {
+      fetch.resetMocks();
+    });
+
+    it('dispatches progress and finished events', () => {
+      const progressSpy = jest.fn();
+      const finishedSpy = jest.fn();
+      manager.on('print:progress', progressSpy);
+      manager.on('print:finished', finishedSpy);
+
+      const statusResponses = [{
+        status: 'waiting',
+        elapsedTime: 100,
+        waitingTime: 100
+      }, {
+        status: 'running',
+        elapsedTime: 200,
+        waitingTime: 0
+      }, {
+        status: 'finished',
+        elapsedTime: 300,
+        waitingTime: 0,
+        downloadURL: '/print/report/1909'
+      }];
+
+      // only respond to the status requests, as pending requests of other
+      // tests may be resolved in the meantime.
+      fetch.mockResponse(req => Promise.resolve(
+        req.url.endsWith('/status/1909.json') ?
+          JSON.stringify(statusResponses.shift()) :
+          ''
+      ));
+
+      return manager.pollUntilDone('https://mock:8080/print/status/1909.json', 0, 0,
+        undefined, printJob)
+        .then(downloadUrl => {
+          expect(downloadUrl).toEqual('/print/report/1909');
+          expect(progressSpy).toHaveBeenCalledTimes(2);
+          expect(progressSpy.mock.calls[0][0]).toEqual(expect.objectContaining({
+            ref: '1909',
+            status: 'waiting',
+            elapsedTime: 100,
+            waitingTime: 100
+          }));
+          expect(finishedSpy).toHaveBeenCalledWith(expect.objectContaining({
+            ref: '1909',
+            status: 'finished',
+            downloadURL: '/print/report/1909'
+          }));
+        });
+    });
+
+    it('dispatches the error event', () => {
+      const errorSpy = jest.fn();
+      const cancelledSpy = jest.fn();
+      manager.on('print:error', errorSpy);
+      manager.on('print:cancelled', cancelledSpy);
+
+      fetch.mockResponse(JSON.stringify({
+        status: 'error',
+        error: 'Shinji is injured'
+      }));
+
+      return manager.pollUntilDone('https://mock:8080/print/status/1909.json', 0, 0,
+        undefined, printJob)
+        .catch(() => {
+          expect(errorSpy).toHaveBeenCalledTimes(1);
+          expect(errorSpy).toHaveBeenCalledWith(expect.objectContaining({
+            ref: '1909',
+            status: 'error',
+            error: 'Shinji is injured'
+          }));
+          expect(cancelledSpy).not.toHaveBeenCalled();
+        });
+    });
+
+    it('dispatches the cancelled event', () => {
+      const errorSpy = jest.fn();
+      const cancelledSpy = jest.fn();
+      manager.on('print:error', errorSpy);
+      manager.on('print:cancelled', cancelledSpy);
+
+      fetch.mockResponse(JSON.stringify({
+        status: 'cancelled'
+      }));
+
+      return manager.pollUntilDone('https://mock:8080/print/status/1909.json', 0, 0,
+        undefined, printJob)
+        .catch(() => {
+          expect(cancelledSpy).toHaveBeenCalledTimes(1);
+          expect(errorSpy).not.toHaveBeenCalled();
+        });
+    });
+
+    it('retries failed status requests', () => {
+      const errorSpy = jest.fn();
+      manager.on('print:error', errorSpy);
+      const strategy = jest.fn(() => 0);
+
+      const statusResponses = [
+        ['', {status: 503}],
+        ['', {status: 502}],
+        [JSON.stringify({
+          status: 'finished',
+          downloadURL: '/print/report/1909'
+        })]
+      ];
+
+      fetch.mockResponse(req => {
+        if (!req.url.endsWith('/status/1909.json')) {
+          return Promise.resolve('');
+        }
+        const [body, init] = statusResponses.shift();
+        return Promise.resolve({
+          body,
+          ...init
+        });
+      });
+
+      return manager.pollUntilDone('https://mock:8080/print/status/1909.json', strategy, 0,
+        undefined, printJob)
+        .then(downloadUrl => {
+          expect(downloadUrl).toEqual('/print/report/1909');
+          expect(strategy).toHaveBeenCalledTimes(2);
+          expect(strategy.mock.calls[1][0]).toEqual(1);
+          expect(errorSpy).not.toHaveBeenCalled();
+        });
+    });
+
+    it('stops polling after the deadline', () => {
+      fetch.mockResponse(JSON.stringify({
+        status: 'running'
+      }));
+
+      return manager.pollUntilDone('https://mock:8080/print/status/1909.json', 10, 5,
+        undefined, printJob)
+        .catch(error => {
+          expect(error.message).toEqual('timeout error on pollUntilDone');
+        });
+    });
+
+    it('dispatches the error event on failed requests', () => {
+      const errorSpy = jest.fn();
+      manager.on('print:error', errorSpy);
+
+      fetch.mockResponse('', {
+        status: 500
+      });
+
+      return manager.pollUntilDone('https://mock:8080/print/status/1909.json', 0, 0,
+        undefined, printJob)
+        .catch(() => {
+          expect(errorSpy).toHaveBeenCalledTimes(1);
+          expect(errorSpy.mock.calls[0][0].ref).toEqual('1909');
+        });
+    });
+  });
+
 });
@@ -12,6 +12,7 @@ import OlFeature from 'ol/Feature';
 import OlGeomPoint from 'ol/geom/Point';
 import OlGeomLineString from 'ol/geom/LineString';
 import OlGeomPolygon from 'ol/geom/Polygon';
+import { get as getProjection } from 'ol/proj';
 
 import { MapFishPrintV2VectorSerializer } from '../../src/serializer/MapFishPrintV2VectorSerializer';
 
@@ -285,4 +286,97 @@ describe('MapFishPrintV2VectorSerializer', () => {
     });
   });
 
+  it('serializes the halo, offset, alignment and rotation of labels', () => {
+    const style = new OlStyleStyle({
+      text: new OlStyleText({
+        text: 'Peter',
+        font: '12px Arial',
+        fill: new OlStyleFill({
+          color: '#0000ff'
+        }),
+        stroke: new OlStyleStroke({
+          color: '#ffffff',
+          width: 3
+        }),
+        offsetX: 10,
+        offsetY: 5,
+        textAlign: 'right',
+        textBaseline: 'bottom',
+        rotation: Math.PI
+      })
+    });
+
+    expect(serializer.writeStyle(style, 'Point')).toEqual({
+      graphicName: 'circle',
+      label: 'Peter',
+      fontColor: '#0000ff',
+      fontFamily: 'Arial',
+      fontOpacity: 1,
+      fontSize: '12px',
+      fontStyle: 'normal',
+      fontWeight: 'normal',
+      haloColor: '#ffffff',
+      haloOpacity: 1,
+      haloRadius: 3,
+      labelAlign: 'rb',
+      labelXOffset: 10,
+      labelYOffset: -5,
+      labelRotation: 180
+    });
+  });
+
+  it('serializes labels placed along lines as point labels', () => {
+    const textStyle = new OlStyleText({
+      text: 'Rheinlanddamm',
+      font: '12px Arial',
+      fill: new OlStyleFill({
+        color: '#0000ff'
+      }),
+      placement: 'line',
+      maxAngle: Math.PI / 4
+    });
+    const style = new OlStyleStyle({
+      text: textStyle
+    });
+
+    // the print service can't print labels following lines
+    expect(serializer.writeTextStyle(textStyle).placement).toBeUndefined();
+    expect(serializer.writeTextStyle(textStyle).maxAngle).toBeUndefined();
+    expect(serializer.writeStyle(style, 'LineString')).toEqual({
+      label: 'Rheinlanddamm',
+      fontColor: '#0000ff',
+      fontFamily: 'Arial',
+      fontOpacity: 1,
+      fontSize: '12px',
+      fontStyle: 'normal',
+      fontWeight: 'normal'
+    });
+  });
+
+  it('writes the features in the print projection', () => {
+    const layer = new OlLayerVector({
+      source: new OlSourceVector({
+        features: [
+          new OlFeature({
+            geometry: new OlGeomPoint([1113194.9079327357, 6800125.454397307])
+          })
+        ]
+      }),
+      style: new OlStyleStyle({
+        fill: new OlStyleFill({
+          color: '#ff0000'
+        })
+      })
+    });
+
+    serializer.viewProjection = getProjection('EPSG:3857');
+    serializer.printProjection = getProjection('EPSG:4326');
+
+    const serialized = serializer.serialize(layer, 1);
+    const coordinates = serialized.geoJson.features[0].geometry.coordinates;
+
+    expect(coordinates[0]).toBeCloseTo(10, 6);
+    expect(coordinates[1]).toBeCloseTo(52, 6);
+  });
+
 });
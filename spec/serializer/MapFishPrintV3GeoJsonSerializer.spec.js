@@ -7,6 +7,12 @@ import OlFeature from 'ol/Feature';
 import OlGeomPoint from 'ol/geom/Point';
 import OlGeomLineString from 'ol/geom/LineString';
 import OlGeomPolygon from 'ol/geom/Polygon';
+import OlStyleStyle from 'ol/style/Style';
+import OlStyleCircle from 'ol/style/Circle';
+import OlStyleText from 'ol/style/Text';
+import OlStyleStroke from 'ol/style/Stroke';
+import OlStyleFill from 'ol/style/Fill';
+import { get as getProjection } from 'ol/proj';
 
 import { MapFishPrintV3GeoJsonSerializer } from '../../src/serializer/MapFishPrintV3GeoJsonSerializer';
 
@@ -45,7 +51,9 @@ describe('MapFishPrintV3GeoJsonSerializer', () => {
       },
       name: layer.get('name') || 'Vector Layer',
       opacity: layer.getOpacity(),
-      style: {},
+      style: {
+        version: '2'
+      },
       type: 'geojson'
     });
   });
@@ -79,6 +87,7 @@ describe('MapFishPrintV3GeoJsonSerializer', () => {
             coordinates: [0, 0]
           },
           properties: {
+            _style: '0'
           }
         }, {
           type: 'Feature',
@@ -87,6 +96,7 @@ describe('MapFishPrintV3GeoJsonSerializer', () => {
             coordinates: [[0, 0], [1, 1]]
           },
           properties: {
+            _style: '1'
           }
         }, {
           type: 'Feature',
@@ -95,16 +105,248 @@ describe('MapFishPrintV3GeoJsonSerializer', () => {
             coordinates: [[[0, 0], [1, 1], [0, 0]]]
           },
           properties: {
+            _style: '2'
           }
         }]
       },
       name: layer.get('name') || 'Vector Layer',
       opacity: layer.getOpacity(),
-      style: {},
+      style: {
+        version: '2',
+        '[_style = \'0\']': {
+          symbolizers: [{
+            type: 'point',
+            fillColor: '#ffffff',
+            fillOpacity: 0.4,
+            graphicName: 'circle',
+            pointRadius: 5,
+            strokeColor: '#3399cc',
+            strokeOpacity: 1,
+            strokeWidth: 1.25
+          }]
+        },
+        '[_style = \'1\']': {
+          symbolizers: [{
+            type: 'line',
+            strokeColor: '#3399cc',
+            strokeOpacity: 1,
+            strokeWidth: 1.25
+          }]
+        },
+        '[_style = \'2\']': {
+          symbolizers: [{
+            type: 'polygon',
+            fillColor: '#ffffff',
+            fillOpacity: 0.4,
+            strokeColor: '#3399cc',
+            strokeOpacity: 1,
+            strokeWidth: 1.25
+          }]
+        }
+      },
       type: 'geojson'
     });
   });
 
+  it('shares a single style rule between features with equal styles', () => {
+    const style = new OlStyleStyle({
+      stroke: new OlStyleStroke({
+        color: 'rgba(255, 0, 0, 0.5)',
+        width: 3,
+        lineDash: [5, 10]
+      })
+    });
+    const feature1 = new OlFeature({
+      geometry: new OlGeomLineString([[0, 0], [1, 1]])
+    });
+    const feature2 = new OlFeature({
+      geometry: new OlGeomLineString([[1, 1], [2, 2]])
+    });
+    feature1.setStyle(style);
+    feature2.setStyle(style);
+
+    const layer = new OlLayerVector({
+      source: new OlSourceVector({
+        features: [feature1, feature2]
+      })
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized.geoJson.features[0].properties._style).toEqual('0');
+    expect(serialized.geoJson.features[1].properties._style).toEqual('0');
+    expect(serialized.style).toEqual({
+      version: '2',
+      '[_style = \'0\']': {
+        symbolizers: [{
+          type: 'line',
+          strokeColor: '#ff0000',
+          strokeDashstyle: '5 10',
+          strokeOpacity: 0.5,
+          strokeWidth: 3
+        }]
+      }
+    });
+  });
+
+  it('combines multiple styles of a feature into a single style rule', () => {
+    const feature = new OlFeature({
+      geometry: new OlGeomPoint([0, 0])
+    });
+    feature.setStyle([
+      new OlStyleStyle({
+        image: new OlStyleCircle({
+          radius: 7,
+          fill: new OlStyleFill({
+            color: '#00ff00'
+          })
+        })
+      }),
+      new OlStyleStyle({
+        text: new OlStyleText({
+          text: 'Peter',
+          font: 'bold 12px Arial',
+          fill: new OlStyleFill({
+            color: '#0000ff'
+          })
+        })
+      })
+    ]);
+
+    const layer = new OlLayerVector({
+      source: new OlSourceVector({
+        features: [feature]
+      })
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized.style).toEqual({
+      version: '2',
+      '[_style = \'0\']': {
+        symbolizers: [{
+          type: 'point',
+          fillColor: '#00ff00',
+          fillOpacity: 1,
+          graphicName: 'circle',
+          pointRadius: 7
+        }, {
+          type: 'text',
+          label: 'Peter',
+          fontColor: '#0000ff',
+          fontFamily: 'Arial',
+          fontOpacity: 1,
+          fontSize: '12px',
+          fontStyle: 'normal',
+          fontWeight: 'bold'
+        }]
+      }
+    });
+  });
+
+  it('serializes the halo, offset, alignment and rotation of labels', () => {
+    const style = new OlStyleStyle({
+      text: new OlStyleText({
+        text: 'Peter',
+        font: '12px Arial',
+        fill: new OlStyleFill({
+          color: '#0000ff'
+        }),
+        stroke: new OlStyleStroke({
+          color: 'rgba(255, 255, 255, 0.5)',
+          width: 3
+        }),
+        offsetX: 10,
+        offsetY: 5,
+        textAlign: 'left',
+        textBaseline: 'top',
+        rotation: Math.PI / 2
+      })
+    });
+
+    expect(serializer.writeStyle(style, 'Point')).toEqual([{
+      type: 'text',
+      label: 'Peter',
+      fontColor: '#0000ff',
+      fontFamily: 'Arial',
+      fontOpacity: 1,
+      fontSize: '12px',
+      fontStyle: 'normal',
+      fontWeight: 'normal',
+      haloColor: '#ffffff',
+      haloOpacity: 0.5,
+      haloRadius: 3,
+      labelAlign: 'lt',
+      labelXOffset: 10,
+      labelYOffset: -5,
+      labelRotation: 90
+    }]);
+  });
+
+  it('serializes labels placed along lines', () => {
+    const style = new OlStyleStyle({
+      text: new OlStyleText({
+        text: 'Strobelallee',
+        placement: 'line',
+        maxAngle: Math.PI / 4,
+        rotation: Math.PI / 2
+      })
+    });
+
+    const symbolizer = serializer.writeStyle(style, 'LineString')[0];
+
+    expect(symbolizer.followLine).toBe(true);
+    expect(symbolizer.maxAngleDelta).toBeCloseTo(45);
+    expect(symbolizer.labelRotation).toBeUndefined();
+  });
+
+  it('serializes the background of labels as halo', () => {
+    const style = new OlStyleStyle({
+      text: new OlStyleText({
+        text: 'Peter',
+        backgroundFill: new OlStyleFill({
+          color: '#ffff00'
+        }),
+        padding: [2, 4, 2, 4]
+      })
+    });
+
+    const symbolizer = serializer.writeStyle(style, 'Point')[0];
+
+    expect(symbolizer.haloColor).toEqual('#ffff00');
+    expect(symbolizer.haloOpacity).toEqual(1);
+    expect(symbolizer.haloRadius).toEqual(4);
+  });
+
+  it('writes the features in the print projection', () => {
+    const layer = new OlLayerVector({
+      source: new OlSourceVector({
+        features: [
+          new OlFeature({
+            geometry: new OlGeomPoint([1113194.9079327357, 6800125.454397307])
+          })
+        ]
+      }),
+      style: new OlStyleStyle({
+        image: new OlStyleCircle({
+          radius: 5,
+          fill: new OlStyleFill({
+            color: '#ff0000'
+          })
+        })
+      })
+    });
+
+    serializer.viewProjection = getProjection('EPSG:3857');
+    serializer.printProjection = getProjection('EPSG:4326');
+
+    const serialized = serializer.serialize(layer);
+    const coordinates = serialized.geoJson.features[0].geometry.coordinates;
+
+    expect(coordinates[0]).toBeCloseTo(10, 6);
+    expect(coordinates[1]).toBeCloseTo(52, 6);
+  });
+
   it('accepts additional serializer opts', () => {
 
   });
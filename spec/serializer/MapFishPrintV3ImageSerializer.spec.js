@@ -0,0 +1,85 @@
+/*eslint-env jest*/
+import OlLayerImage from 'ol/layer/Image';
+import OlLayerTile from 'ol/layer/Tile';
+import OlSourceImageStatic from 'ol/source/ImageStatic';
+import OlSourceOSM from 'ol/source/OSM';
+
+import { MapFishPrintV3ImageSerializer } from '../../src/serializer/MapFishPrintV3ImageSerializer';
+
+describe('MapFishPrintV3ImageSerializer', () => {
+  let serializer;
+
+  const imageExtent = [0, 0, 1024, 968];
+
+  beforeEach(() => {
+    serializer = new MapFishPrintV3ImageSerializer();
+  });
+
+  it('is defined', () => {
+    expect(MapFishPrintV3ImageSerializer).not.toBeUndefined();
+  });
+
+  it('checks if the given layer can be serialized with it', () => {
+    const layer = new OlLayerTile({
+      source: new OlSourceOSM()
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized).toBeUndefined();
+  });
+
+  it('serializes a layer with an ImageStatic source', () => {
+    const layer = new OlLayerImage({
+      source: new OlSourceImageStatic({
+        url: 'https://bvb.de/maps/westfalenstadion.jpg',
+        imageExtent
+      }),
+      name: 'Westfalenstadion',
+      opacity: 0.5
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized).toEqual({
+      baseURL: 'https://bvb.de/maps/westfalenstadion.jpg',
+      extent: imageExtent,
+      failOnError: false,
+      imageFormat: 'image/jpeg',
+      name: 'Westfalenstadion',
+      opacity: 0.5,
+      rasterStyle: undefined,
+      type: 'image'
+    });
+  });
+
+  it('falls back to png if the image format can\'t be determined', () => {
+    const layer = new OlLayerImage({
+      source: new OlSourceImageStatic({
+        url: 'https://bvb.de/maps/image?id=1909',
+        imageExtent
+      })
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized.imageFormat).toEqual('image/png');
+  });
+
+  it('accepts additional serializer opts', () => {
+    const layer = new OlLayerImage({
+      source: new OlSourceImageStatic({
+        url: 'https://bvb.de/maps/westfalenstadion.png',
+        imageExtent
+      })
+    });
+
+    const serialized = serializer.serialize(layer, {
+      imageFormat: 'image/gif',
+      failOnError: true
+    });
+
+    expect(serialized.imageFormat).toEqual('image/gif');
+    expect(serialized.failOnError).toBe(true);
+  });
+});
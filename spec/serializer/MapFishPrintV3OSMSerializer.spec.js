@@ -3,8 +3,10 @@ import OlLayerImage from 'ol/layer/Image';
 import OlLayerTile from 'ol/layer/Tile';
 import OlSourceImageWMS from 'ol/source/ImageWMS';
 import OlSourceOSM from 'ol/source/OSM';
+import { get as getProjection } from 'ol/proj';
 
 import { MapFishPrintV3OSMSerializer } from '../../src/serializer/MapFishPrintV3OSMSerializer';
+import Log from '../../src/util/Logger';
 
 describe('MapFishPrintV3OSMSerializer', () => {
   let serializer;
@@ -51,6 +53,20 @@ describe('MapFishPrintV3OSMSerializer', () => {
     });
   });
 
+  it('skips sources not available in the print projection', () => {
+    const warnSpy = jest.spyOn(Log, 'warn').mockImplementation(() => {});
+    const layer = new OlLayerTile({
+      source: new OlSourceOSM()
+    });
+
+    serializer.printProjection = getProjection('EPSG:4326');
+
+    expect(serializer.serialize(layer)).toBeUndefined();
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+
+    warnSpy.mockRestore();
+  });
+
   it('accepts additional serializer opts', () => {
     const layer = new OlLayerTile({
       source: new OlSourceOSM()
@@ -0,0 +1,226 @@
+/*eslint-env jest*/
+import OlLayerTile from 'ol/layer/Tile';
+import OlLayerVectorTile from 'ol/layer/VectorTile';
+import OlSourceOSM from 'ol/source/OSM';
+import OlSourceVectorTile from 'ol/source/VectorTile';
+import OlRenderFeature from 'ol/render/Feature';
+import OlStyleStyle from 'ol/style/Style';
+import OlStyleStroke from 'ol/style/Stroke';
+import OlStyleFill from 'ol/style/Fill';
+import OlProjection from 'ol/proj/Projection';
+import TileState from 'ol/TileState';
+import { getKey } from 'ol/tilecoord';
+
+import { MapFishPrintV3VectorTileSerializer } from '../../src/serializer/MapFishPrintV3VectorTileSerializer';
+import Log from '../../src/util/Logger';
+
+describe('MapFishPrintV3VectorTileSerializer', () => {
+  let serializer;
+  let layer;
+
+  const roads = new OlRenderFeature('LineString', [0, 0, 10, 10], [4], {
+    layer: 'roads',
+    name: 'Strobelallee'
+  });
+  const buildings = new OlRenderFeature('Polygon', [
+    // first polygon with a hole
+    0, 0, 0, 10, 10, 10, 10, 0, 0, 0,
+    2, 2, 4, 2, 4, 4, 2, 4, 2, 2,
+    // second polygon
+    20, 20, 20, 30, 30, 30, 30, 20, 20, 20
+  ], [10, 20, 30], {
+    layer: 'buildings'
+  });
+  const farAway = new OlRenderFeature('Point', [1000, 1000], [], {
+    layer: 'roads'
+  });
+
+  beforeEach(() => {
+    serializer = new MapFishPrintV3VectorTileSerializer();
+
+    layer = new OlLayerVectorTile({
+      name: 'Basemap',
+      source: new OlSourceVectorTile({}),
+      style: feature => {
+        if (feature.get('layer') === 'roads') {
+          return new OlStyleStyle({
+            stroke: new OlStyleStroke({
+              color: '#ff0000',
+              width: 2
+            })
+          });
+        }
+        return new OlStyleStyle({
+          fill: new OlStyleFill({
+            color: '#00ff00'
+          })
+        });
+      }
+    });
+
+    const sourceTile = {
+      tileCoord: [0, 0, 0],
+      extent: [0, 0, 2000, 2000],
+      getState: () => TileState.LOADED,
+      getFeatures: () => [roads, buildings, farAway]
+    };
+
+    const tile = {
+      tileCoord: [0, 0, 0],
+      getState: () => TileState.LOADED,
+      // source tiles may be shared by multiple tiles
+      getSourceTiles: () => [sourceTile, sourceTile]
+    };
+
+    layer.getSource().tileCache.set(getKey(tile.tileCoord), tile);
+  });
+
+  it('is defined', () => {
+    expect(MapFishPrintV3VectorTileSerializer).not.toBeUndefined();
+  });
+
+  it('checks if the given layer can be serialized with it', () => {
+    const osmLayer = new OlLayerTile({
+      source: new OlSourceOSM()
+    });
+
+    const serialized = serializer.serialize(osmLayer);
+
+    expect(serialized).toBeUndefined();
+  });
+
+  it('serializes one geojson layer per source layer', () => {
+    const serialized = serializer.serialize(layer, {}, 1, [-5, -5, 50, 50]);
+
+    expect(serialized.length).toEqual(2);
+
+    expect(serialized[0].name).toEqual('Basemap (roads)');
+    expect(serialized[0].type).toEqual('geojson');
+    expect(serialized[0].failOnError).toBe(false);
+    expect(serialized[0].geoJson.features).toEqual([{
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: [[0, 0], [10, 10]]
+      },
+      properties: {
+        layer: 'roads',
+        name: 'Strobelallee',
+        _style: '0'
+      }
+    }]);
+    expect(serialized[0].style).toEqual({
+      version: '2',
+      '[_style = \'0\']': {
+        symbolizers: [{
+          type: 'line',
+          strokeColor: '#ff0000',
+          strokeOpacity: 1,
+          strokeWidth: 2
+        }]
+      }
+    });
+
+    expect(serialized[1].name).toEqual('Basemap (buildings)');
+    expect(serialized[1].geoJson.features[0].geometry.type).toEqual('MultiPolygon');
+    expect(serialized[1].geoJson.features[0].geometry.coordinates.length).toEqual(2);
+    expect(serialized[1].geoJson.features[0].geometry.coordinates[0].length).toEqual(2);
+  });
+
+  it('serializes the features of the zoom level closest to the print resolution', () => {
+    const source = layer.getSource();
+    const detailedRoads = new OlRenderFeature('LineString', [0, 0, 5, 5], [4], {
+      layer: 'roads',
+      name: 'Rheinlanddamm'
+    });
+
+    source.tileCache.set('1/1/0', {
+      tileCoord: [1, 1, 0],
+      getState: () => TileState.LOADED,
+      getSourceTiles: () => [{
+        tileCoord: [1, 1, 0],
+        extent: [0, 0, 2000, 2000],
+        getState: () => TileState.LOADED,
+        getFeatures: () => [detailedRoads]
+      }]
+    });
+
+    const coarse = serializer.serialize(layer, {}, source.getTileGrid().getResolution(0));
+    const detailed = serializer.serialize(layer, {}, source.getTileGrid().getResolution(1));
+
+    expect(coarse.map(serialized => serialized.name)).toEqual([
+      'Basemap (roads)',
+      'Basemap (buildings)'
+    ]);
+    expect(detailed.length).toEqual(1);
+    expect(detailed[0].geoJson.features[0].properties.name).toEqual('Rheinlanddamm');
+  });
+
+  it('splits polygons read from vector tiles into their exterior rings and holes', () => {
+    // rings as read by ol.format.MVT in tile pixels (y pointing down), i.e.
+    // with clockwise exterior and counter-clockwise interior rings on screen
+    const polygons = new OlRenderFeature('Polygon', [
+      // exterior ring
+      0, 0, 2048, 0, 2048, 2048, 0, 2048, 0, 0,
+      // hole
+      512, 512, 512, 1024, 1024, 1024, 1024, 512, 512, 512,
+      // exterior ring of a second polygon
+      3072, 3072, 4096, 3072, 4096, 4096, 3072, 4096, 3072, 3072
+    ], [10, 20, 30], {
+      layer: 'buildings'
+    });
+    polygons.transform(new OlProjection({
+      code: '',
+      units: 'tile-pixels',
+      extent: [0, 0, 4096, 4096],
+      worldExtent: [0, 0, 4096, 4096]
+    }));
+
+    const geometry = serializer.getGeometry(polygons);
+
+    expect(geometry.getType()).toEqual('MultiPolygon');
+    expect(geometry.getCoordinates()).toEqual([[
+      [[0, 4096], [2048, 4096], [2048, 2048], [0, 2048], [0, 4096]],
+      [[512, 3584], [512, 3072], [1024, 3072], [1024, 3584], [512, 3584]]
+    ], [
+      [[3072, 1024], [4096, 1024], [4096, 0], [3072, 0], [3072, 1024]]
+    ]]);
+  });
+
+  it('limits the number of features to serialize', () => {
+    const warnSpy = jest.spyOn(Log, 'warn').mockImplementation(() => {});
+    const serialized = serializer.serialize(layer, {
+      maxFeatures: 1
+    }, 1);
+
+    expect(serialized.length).toEqual(1);
+    expect(serialized[0].geoJson.features.length).toEqual(1);
+    expect(serialized[0].maxFeatures).toBeUndefined();
+    expect(warnSpy).toHaveBeenCalledWith('The layer contains 3 features in ' +
+      'the print extent, only the first 1 will be printed.');
+
+    warnSpy.mockRestore();
+  });
+
+  it('uses the features in the extent provided by the source', () => {
+    const source = layer.getSource();
+    const printExtent = [0, 0, 100, 100];
+    source.getFeaturesInExtent = jest.fn(() => [roads]);
+
+    const serialized = serializer.serialize(layer, {}, 1, printExtent);
+
+    expect(source.getFeaturesInExtent).toHaveBeenCalledWith(printExtent);
+    expect(serialized.length).toEqual(1);
+    expect(serialized[0].name).toEqual('Basemap (roads)');
+  });
+
+  it('skips sources without a tile cache', () => {
+    const warnSpy = jest.spyOn(Log, 'warn').mockImplementation(() => {});
+    layer.getSource().tileCache = undefined;
+
+    expect(serializer.serialize(layer, {}, 1)).toEqual([]);
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+
+    warnSpy.mockRestore();
+  });
+});
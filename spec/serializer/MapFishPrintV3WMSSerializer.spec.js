@@ -175,4 +175,29 @@ describe('MapFishPrintV3WMSSerializer', () => {
       type: 'wms'
     });
   });
+
+  it('serializes the effective layer state if given', () => {
+    const layer = new OlLayerImage({
+      opacity: 0.8,
+      source: new OlSourceImageWMS({
+        url: 'https://bvb.de/geoserver/wms',
+        params: {
+          LAYERS: 'shinji:kagawa'
+        }
+      })
+    });
+
+    serializer.layerState = {
+      visible: true,
+      opacity: 0.4,
+      minResolution: 0,
+      maxResolution: 10
+    };
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized.opacity).toEqual(0.4);
+    expect(serialized.minScaleDenominator).toBeUndefined();
+    expect(serialized.maxScaleDenominator).toBeCloseTo(35714.21, 1);
+  });
 });
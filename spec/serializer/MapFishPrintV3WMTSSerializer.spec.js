@@ -0,0 +1,163 @@
+/*eslint-env jest*/
+import OlLayerTile from 'ol/layer/Tile';
+import OlSourceOSM from 'ol/source/OSM';
+import OlSourceWMTS from 'ol/source/WMTS';
+import OlTileGridWMTS from 'ol/tilegrid/WMTS';
+import { get as getProjection } from 'ol/proj';
+
+import { MapFishPrintV3WMTSSerializer } from '../../src/serializer/MapFishPrintV3WMTSSerializer';
+import Log from '../../src/util/Logger';
+
+describe('MapFishPrintV3WMTSSerializer', () => {
+  let serializer;
+
+  const extent = [-20037508.3428, -20037508.3428, 20037508.3428, 20037508.3428];
+  const resolutions = [156543.03392804097, 78271.51696402048];
+
+  /**
+   * Returns a WMTS source for testing purposes.
+   *
+   * @param {Object} opts Additional source options.
+   * @return {ol.source.WMTS} The source.
+   */
+  const getSource = opts => new OlSourceWMTS({
+    url: 'https://bvb.de/wmts',
+    layer: 'kagawa',
+    matrixSet: 'EPSG:3857',
+    format: 'image/png',
+    projection: 'EPSG:3857',
+    style: 'default',
+    tileGrid: new OlTileGridWMTS({
+      extent,
+      origin: [extent[0], extent[3]],
+      resolutions,
+      matrixIds: ['0', '1']
+    }),
+    ...opts
+  });
+
+  beforeEach(() => {
+    serializer = new MapFishPrintV3WMTSSerializer();
+  });
+
+  it('is defined', () => {
+    expect(MapFishPrintV3WMTSSerializer).not.toBeUndefined();
+  });
+
+  it('checks if the given layer can be serialized with it', () => {
+    const layer = new OlLayerTile({
+      source: new OlSourceOSM()
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized).toBeUndefined();
+  });
+
+  it('serializes a layer with a WMTS source', () => {
+    const layer = new OlLayerTile({
+      source: getSource(),
+      name: 'Shinji'
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized).toEqual({
+      baseURL: 'https://bvb.de/wmts',
+      customParams: {},
+      dimensionParams: {},
+      dimensions: [],
+      failOnError: false,
+      imageFormat: 'image/png',
+      layer: 'kagawa',
+      matrices: [{
+        identifier: '0',
+        scaleDenominator: expect.any(Number),
+        topLeftCorner: [extent[0], extent[3]],
+        tileSize: [256, 256],
+        matrixSize: [1, 1]
+      }, {
+        identifier: '1',
+        scaleDenominator: expect.any(Number),
+        topLeftCorner: [extent[0], extent[3]],
+        tileSize: [256, 256],
+        matrixSize: [2, 2]
+      }],
+      matrixSet: 'EPSG:3857',
+      name: 'Shinji',
+      opacity: 1,
+      rasterStyle: undefined,
+      requestEncoding: 'KVP',
+      style: 'default',
+      version: '1.0.0',
+      type: 'wmts'
+    });
+
+    expect(serialized.matrices[0].scaleDenominator).toBeCloseTo(559082264.03, 1);
+    expect(serialized.matrices[1].scaleDenominator).toBeCloseTo(279541132.01, 1);
+  });
+
+  it('skips sources without urls', () => {
+    const layer = new OlLayerTile({
+      source: getSource({
+        url: undefined,
+        tileUrlFunction: () => 'https://bvb.de/wmts/tile.png'
+      })
+    });
+
+    expect(layer.getSource().getUrls()).toBeNull();
+    expect(serializer.serialize(layer)).toBeUndefined();
+  });
+
+  it('serializes the dimensions and the REST request encoding', () => {
+    const url = 'https://bvb.de/wmts/{Style}/{TIME}/{TileMatrix}/{TileRow}/{TileCol}.png';
+    const layer = new OlLayerTile({
+      source: getSource({
+        url,
+        requestEncoding: 'REST',
+        dimensions: {
+          TIME: '2019-05-25'
+        }
+      })
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized.baseURL).toEqual(url);
+    expect(serialized.requestEncoding).toEqual('REST');
+    expect(serialized.dimensions).toEqual(['TIME']);
+    expect(serialized.dimensionParams).toEqual({
+      TIME: '2019-05-25'
+    });
+  });
+
+  it('skips sources not available in the print projection', () => {
+    const warnSpy = jest.spyOn(Log, 'warn').mockImplementation(() => {});
+    const layer = new OlLayerTile({
+      source: getSource()
+    });
+
+    serializer.printProjection = getProjection('EPSG:3857');
+    expect(serializer.serialize(layer)).not.toBeUndefined();
+
+    serializer.printProjection = getProjection('EPSG:4326');
+    expect(serializer.serialize(layer)).toBeUndefined();
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+
+    warnSpy.mockRestore();
+  });
+
+  it('accepts additional serializer opts', () => {
+    const layer = new OlLayerTile({
+      source: getSource()
+    });
+
+    const serialized = serializer.serialize(layer, {
+      imageFormat: 'image/jpeg',
+      failOnError: true
+    });
+
+    expect(serialized.imageFormat).toEqual('image/jpeg');
+    expect(serialized.failOnError).toBe(true);
+  });
+});
@@ -0,0 +1,128 @@
+/*eslint-env jest*/
+import OlLayerImage from 'ol/layer/Image';
+import OlLayerTile from 'ol/layer/Tile';
+import OlSourceImageWMS from 'ol/source/ImageWMS';
+import OlSourceXYZ from 'ol/source/XYZ';
+import OlSourceTileArcGISRest from 'ol/source/TileArcGISRest';
+import { createXYZ } from 'ol/tilegrid';
+import { get as getProjection } from 'ol/proj';
+
+import { MapFishPrintV3XYZSerializer } from '../../src/serializer/MapFishPrintV3XYZSerializer';
+import Log from '../../src/util/Logger';
+
+describe('MapFishPrintV3XYZSerializer', () => {
+  let serializer;
+
+  beforeEach(() => {
+    serializer = new MapFishPrintV3XYZSerializer();
+  });
+
+  it('is defined', () => {
+    expect(MapFishPrintV3XYZSerializer).not.toBeUndefined();
+  });
+
+  it('checks if the given layer can be serialized with it', () => {
+    const layer = new OlLayerImage({
+      source: new OlSourceImageWMS()
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized).toBeUndefined();
+  });
+
+  it('doesn\'t serialize other tile image sources', () => {
+    const layer = new OlLayerTile({
+      source: new OlSourceTileArcGISRest({
+        url: 'https://bvb.de/arcgis/rest/services/Stadium/MapServer'
+      })
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized).toBeUndefined();
+  });
+
+  it('serializes a layer with a XYZ source', () => {
+    const source = new OlSourceXYZ({
+      url: 'https://tiles.bvb.de/{z}/{x}/{y}.jpg',
+      maxZoom: 2
+    });
+    const layer = new OlLayerTile({
+      source,
+      name: 'Shinji'
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized).toEqual({
+      baseURL: 'https://tiles.bvb.de/{z}/{x}/{y}.jpg',
+      customParams: {},
+      dpi: 72,
+      failOnError: false,
+      imageExtension: 'jpg',
+      maxExtent: source.getTileGrid().getExtent(),
+      name: 'Shinji',
+      opacity: 1,
+      rasterStyle: undefined,
+      resolutionTolerance: 0,
+      resolutions: source.getTileGrid().getResolutions(),
+      tileSize: [256, 256],
+      type: 'osm'
+    });
+    expect(serialized.resolutions.length).toEqual(3);
+  });
+
+  it('derives the tile size and extent from a custom tile grid', () => {
+    const extent = [0, 0, 1024, 1024];
+    const layer = new OlLayerTile({
+      source: new OlSourceXYZ({
+        url: 'https://tiles.bvb.de/{z}/{x}/{y}',
+        tileGrid: createXYZ({
+          extent,
+          maxZoom: 1,
+          tileSize: 512
+        })
+      })
+    });
+
+    const serialized = serializer.serialize(layer);
+
+    expect(serialized.maxExtent).toEqual(extent);
+    expect(serialized.tileSize).toEqual([512, 512]);
+    expect(serialized.resolutions).toEqual([2, 1]);
+    expect(serialized.imageExtension).toEqual('png');
+  });
+
+  it('skips sources not available in the print projection', () => {
+    const warnSpy = jest.spyOn(Log, 'warn').mockImplementation(() => {});
+    const layer = new OlLayerTile({
+      source: new OlSourceXYZ({
+        url: 'https://tiles.bvb.de/{z}/{x}/{y}'
+      })
+    });
+
+    serializer.printProjection = getProjection('EPSG:4326');
+
+    expect(serializer.serialize(layer)).toBeUndefined();
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+
+    warnSpy.mockRestore();
+  });
+
+  it('accepts additional serializer opts', () => {
+    const layer = new OlLayerTile({
+      source: new OlSourceXYZ({
+        url: 'https://tiles.bvb.de/{z}/{x}/{y}.png'
+      })
+    });
+
+    const serialized = serializer.serialize(layer, {
+      imageExtension: 'jpeg',
+      dpi: 96
+    });
+
+    expect(serialized.imageExtension).toEqual('jpeg');
+    expect(serialized.dpi).toEqual(96);
+  });
+});
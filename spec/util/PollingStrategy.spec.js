@@ -0,0 +1,63 @@
+/*eslint-env jest*/
+import { PollingStrategy } from '../../src/util/PollingStrategy';
+
+describe('PollingStrategy', () => {
+
+  it('is defined', () => {
+    expect(PollingStrategy).not.toBeUndefined();
+  });
+
+  describe('#fixed', () => {
+    it('returns the same interval for every attempt', () => {
+      const strategy = PollingStrategy.fixed(500);
+
+      expect(strategy(0)).toEqual(500);
+      expect(strategy(10)).toEqual(500);
+    });
+  });
+
+  describe('#linear', () => {
+    it('increases the interval linearly up to the maximum', () => {
+      const strategy = PollingStrategy.linear({
+        initialInterval: 100,
+        increment: 200,
+        maxInterval: 600
+      });
+
+      expect(strategy(0)).toEqual(100);
+      expect(strategy(1)).toEqual(300);
+      expect(strategy(2)).toEqual(500);
+      expect(strategy(3)).toEqual(600);
+    });
+  });
+
+  describe('#exponential', () => {
+    it('increases the interval exponentially up to the maximum', () => {
+      const strategy = PollingStrategy.exponential({
+        initialInterval: 100,
+        maxInterval: 1000,
+        jitter: 0
+      });
+
+      expect(strategy(0)).toEqual(100);
+      expect(strategy(1)).toEqual(200);
+      expect(strategy(3)).toEqual(800);
+      expect(strategy(4)).toEqual(1000);
+    });
+
+    it('randomizes the interval by the given jitter', () => {
+      const strategy = PollingStrategy.exponential({
+        initialInterval: 1000,
+        maxInterval: 10000,
+        jitter: 0.5
+      });
+
+      for (let i = 0; i < 20; i++) {
+        const interval = strategy(0);
+        expect(interval).toBeGreaterThanOrEqual(500);
+        expect(interval).toBeLessThanOrEqual(1500);
+      }
+    });
+  });
+
+});
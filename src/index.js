@@ -1,7 +1,9 @@
 import { MapFishPrintV2Manager } from './manager/MapFishPrintV2Manager';
 import { MapFishPrintV3Manager } from './manager/MapFishPrintV3Manager';
+import { PollingStrategy } from './util/PollingStrategy';
 
 export {
   MapFishPrintV2Manager,
-  MapFishPrintV3Manager
+  MapFishPrintV3Manager,
+  PollingStrategy
 };
@@ -0,0 +1,292 @@
+/**
+ * The PrintJob.
+ *
+ * Handle of a single print job created by the MapFishPrintV3Manager. The
+ * job is thenable, so it can be used like its `promise`.
+ *
+ * @class
+ */
+export class PrintJob {
+
+  /**
+   * The status of a job waiting in the queue of the manager.
+   *
+   * @type {string}
+   */
+  static STATUS_QUEUED = 'queued';
+
+  /**
+   * The status of a job waiting in the queue of the print service.
+   *
+   * @type {string}
+   */
+  static STATUS_WAITING = 'waiting';
+
+  /**
+   * The status of a job being processed by the print service.
+   *
+   * @type {string}
+   */
+  static STATUS_RUNNING = 'running';
+
+  /**
+   * The status of a successfully finished job.
+   *
+   * @type {string}
+   */
+  static STATUS_FINISHED = 'finished';
+
+  /**
+   * The status of a failed job.
+   *
+   * @type {string}
+   */
+  static STATUS_ERROR = 'error';
+
+  /**
+   * The status of a cancelled job.
+   *
+   * @type {string}
+   */
+  static STATUS_CANCELLED = 'cancelled';
+
+  /**
+   * The number of created jobs, used to generate the job ids.
+   *
+   * @type {number}
+   */
+  static counter = 0;
+
+  /**
+   * The (client side) id of the job.
+   *
+   * @type {number}
+   */
+  id = null;
+
+  /**
+   * The reference of the job on the print service. Available as soon as
+   * the job has been created on the print service.
+   *
+   * @type {string}
+   */
+  ref = null;
+
+  /**
+   * The current status of the job.
+   *
+   * @type {string}
+   */
+  status = PrintJob.STATUS_QUEUED;
+
+  /**
+   * The print app the job has been created for.
+   *
+   * @type {string}
+   */
+  printApp = null;
+
+  /**
+   * The name of the layout the job has been created for.
+   *
+   * @type {string}
+   */
+  layout = null;
+
+  /**
+   * The output format the job has been created for.
+   *
+   * @type {string}
+   */
+  outputFormat = null;
+
+  /**
+   * The time in ms the job has been processed by the print service so far.
+   *
+   * @type {number}
+   */
+  elapsedTime = null;
+
+  /**
+   * The estimated time in ms until the print service starts processing the
+   * job.
+   *
+   * @type {number}
+   */
+  waitingTime = null;
+
+  /**
+   * The download url of the print result.
+   *
+   * @type {string}
+   */
+  downloadURL = null;
+
+  /**
+   * The error message of a failed job.
+   *
+   * @type {string}
+   */
+  error = null;
+
+  /**
+   * The validation errors of a job failed due to an invalid payload (see
+   * `validatePayload` of the manager).
+   *
+   * @type {Array}
+   */
+  validationErrors = null;
+
+  /**
+   * The promise of the current run of the job. Resolves with the download
+   * url or the fetched print result (if no download has been forced).
+   *
+   * @type {Promise}
+   */
+  promise = null;
+
+  /**
+   * The manager the job has been created by.
+   *
+   * @type {MapFishPrintV3Manager}
+   * @private
+   */
+  _manager = null;
+
+  /**
+   * The print payload of the job.
+   *
+   * @type {Promise}
+   * @private
+   */
+  _payload = null;
+
+  /**
+   * Whether to force a direct download of the print result.
+   *
+   * @type {boolean}
+   * @private
+   */
+  _forceDownload = false;
+
+  /**
+   * Whether to fetch the print result as blob.
+   *
+   * @type {boolean}
+   * @private
+   */
+  _asBlob = false;
+
+  /**
+   * The filename of the print result.
+   *
+   * @type {string}
+   * @private
+   */
+  _filename = null;
+
+  /**
+   * The controller to abort the requests of the current run with.
+   *
+   * @type {AbortController}
+   * @private
+   */
+  _abortController = null;
+
+  /**
+   * Resolves the promise of the current run.
+   *
+   * @type {Function}
+   * @private
+   */
+  _resolve = null;
+
+  /**
+   * Rejects the promise of the current run.
+   *
+   * @type {Function}
+   * @private
+   */
+  _reject = null;
+
+  /**
+   * The constructor.
+   *
+   * @param {Object} opts The properties of the job.
+   */
+  constructor(opts) {
+    Object.assign(this, opts);
+
+    this.id = ++PrintJob.counter;
+
+    this.resetPromise();
+  }
+
+  /**
+   * Creates a new (pending) promise for the next run of the job.
+   */
+  resetPromise() {
+    this.promise = new Promise((resolve, reject) => {
+      this._resolve = resolve;
+      this._reject = reject;
+    });
+
+    // the state of the job can be observed via the events of the manager,
+    // so rejections don't need to be handled by the caller.
+    this.promise.catch(() => {});
+  }
+
+  /**
+   * Whether the job is done, i.e. finished, failed or cancelled.
+   *
+   * @return {boolean} Whether the job is done or not.
+   */
+  isDone() {
+    return [
+      PrintJob.STATUS_FINISHED,
+      PrintJob.STATUS_ERROR,
+      PrintJob.STATUS_CANCELLED
+    ].includes(this.status);
+  }
+
+  /**
+   * Cancels the job.
+   *
+   * @return {Promise} Resolves as soon as the job has been cancelled.
+   */
+  cancel() {
+    return this._manager.cancelPrintJob(this);
+  }
+
+  /**
+   * Runs the (done) job again.
+   *
+   * @return {PrintJob} The job.
+   */
+  retry() {
+    return this._manager.retryPrintJob(this);
+  }
+
+  /**
+   * Attaches callbacks to the promise of the job.
+   *
+   * @param {Function} onFulfilled The fulfillment callback.
+   * @param {Function} onRejected The rejection callback.
+   * @return {Promise} The resulting promise.
+   */
+  then(onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected);
+  }
+
+  /**
+   * Attaches a rejection callback to the promise of the job.
+   *
+   * @param {Function} onRejected The rejection callback.
+   * @return {Promise} The resulting promise.
+   */
+  catch(onRejected) {
+    return this.promise.catch(onRejected);
+  }
+}
+
+export default PrintJob;
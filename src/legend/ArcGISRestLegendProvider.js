@@ -0,0 +1,94 @@
+import OlSourceTileArcGISRest from 'ol/source/TileArcGISRest';
+import OlSourceImageArcGISRest from 'ol/source/ImageArcGISRest';
+
+import BaseLegendProvider from './BaseLegendProvider';
+
+/**
+ * The ArcGISRestLegendProvider.
+ *
+ * Provides the legend of ArcGIS REST layers via the `legend` endpoint of the
+ * map service. The symbol images will be embedded as data URLs.
+ *
+ * @class
+ */
+export class ArcGISRestLegendProvider extends BaseLegendProvider {
+
+  /**
+   * The ol sources this provider is capable of providing the legend for.
+   *
+   * @type {Array}
+   */
+  static sourceCls = [
+    OlSourceTileArcGISRest,
+    OlSourceImageArcGISRest
+  ];
+
+  /**
+   * Whether the provider requests remote resources.
+   *
+   * @type {boolean}
+   */
+  static isAsync = true;
+
+  /**
+   * Returns the legend classes of the given layer. If the layer shows
+   * multiple service layers, a class containing the nested classes will be
+   * returned per service layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to get the legend classes for.
+   * @param {BaseMapFishPrintManager} manager The manager requesting the
+   *                                          legend.
+   * @return {Promise} Resolves with the legend classes.
+   */
+  getLegendClasses(layer, manager) {
+    const source = layer.getSource();
+    const url = (source instanceof OlSourceImageArcGISRest ?
+      source.getUrl() :
+      source.getUrls()[0]).replace(/\/$/, '');
+    const visibleLayerIds = this.getVisibleLayerIds(source.getParams().LAYERS);
+
+    return manager.request(`${url}/legend?f=json`, {
+      method: 'GET',
+      headers: {
+        ...manager.headers
+      },
+      credentials: manager.credentialsMode
+    })
+      .then(response => manager.validateResponse(response))
+      .then(response => response.json())
+      .then(json => {
+        const serviceLayers = (json.layers || []).filter(serviceLayer => {
+          return !visibleLayerIds ||
+            visibleLayerIds.includes(serviceLayer.layerId);
+        });
+        const classes = serviceLayers.map(serviceLayer => ({
+          name: serviceLayer.layerName || '',
+          classes: (serviceLayer.legend || []).map(legend => ({
+            name: legend.label || '',
+            icons: [legend.imageData ?
+              `data:${legend.contentType};base64,${legend.imageData}` :
+              `${url}/${serviceLayer.layerId}/images/${legend.url}`]
+          }))
+        }));
+
+        return classes.length === 1 ? classes[0].classes : classes;
+      });
+  }
+
+  /**
+   * Returns the ids of the service layers shown by the given `LAYERS`
+   * parameter, e.g. `show:0,2`.
+   *
+   * @param {string} layersParam The `LAYERS` parameter of the source.
+   * @return {Array|undefined} The ids or `undefined` if all layers are shown.
+   */
+  getVisibleLayerIds(layersParam) {
+    const match = /^show:(.*)$/.exec(layersParam || '');
+
+    if (match) {
+      return match[1].split(',').map(id => parseInt(id, 10));
+    }
+  }
+}
+
+export default ArcGISRestLegendProvider;
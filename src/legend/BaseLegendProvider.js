@@ -0,0 +1,55 @@
+/**
+ * The BaseLegendProvider.
+ *
+ * Legend providers create the legend classes of the layers they are capable
+ * of (see `legendProviders` of the managers).
+ *
+ * @class
+ */
+export class BaseLegendProvider {
+
+  /**
+   * The ol sources this provider is capable of providing the legend for.
+   *
+   * @type {Array}
+   */
+  static sourceCls = [];
+
+  /**
+   * Whether the provider requests remote resources and thus returns a
+   * Promise from `getLegendClasses`. The legends of asynchronous providers
+   * are loaded before printing (see `loadLegends` of the managers).
+   *
+   * @type {boolean}
+   */
+  static isAsync = false;
+
+  /**
+   * Checks if the provider is capable of providing the legend for the given
+   * layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to check.
+   * @return {boolean} Whether the legend of the layer can be provided or not.
+   */
+  static canProvide(layer) {
+    const source = layer.getSource();
+
+    return this.sourceCls.some(cls => source instanceof cls);
+  }
+
+  /**
+   * Returns the legend classes of the given layer. Has to be implemented by
+   * the subclasses, which receive the layer and the manager requesting the
+   * legend.
+   *
+   * @return {Array|Promise} The legend classes, each containing the `name`
+   *                         and the `icons` of the class (or nested
+   *                         `classes`). Asynchronous providers (see
+   *                         `isAsync`) return a Promise.
+   */
+  getLegendClasses() {
+    return [];
+  }
+}
+
+export default BaseLegendProvider;
@@ -0,0 +1,47 @@
+import BaseLegendProvider from './BaseLegendProvider';
+
+/**
+ * The StaticLegendProvider.
+ *
+ * Provides the legend of any layer having a static legend url (or an array of
+ * urls) set as layer property `legendUrl`, e.g. XYZ layers.
+ *
+ * @class
+ */
+export class StaticLegendProvider extends BaseLegendProvider {
+
+  /**
+   * The key in the layer properties to lookup for the legend url.
+   *
+   * @type {string}
+   */
+  static LEGEND_URL_KEY = 'legendUrl';
+
+  /**
+   * Checks if the provider is capable of providing the legend for the given
+   * layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to check.
+   * @return {boolean} Whether the legend of the layer can be provided or not.
+   */
+  static canProvide(layer) {
+    return !!layer.get(this.LEGEND_URL_KEY);
+  }
+
+  /**
+   * Returns the legend classes of the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to get the legend classes for.
+   * @return {Array} The legend classes.
+   */
+  getLegendClasses(layer) {
+    const legendUrl = layer.get(this.constructor.LEGEND_URL_KEY);
+
+    return [{
+      name: '',
+      icons: Array.isArray(legendUrl) ? legendUrl : [legendUrl]
+    }];
+  }
+}
+
+export default StaticLegendProvider;
@@ -0,0 +1,40 @@
+import OlSourceTileWMS from 'ol/source/TileWMS';
+import OlSourceImageWMS from 'ol/source/ImageWMS';
+
+import BaseLegendProvider from './BaseLegendProvider';
+import Shared from '../util/Shared';
+
+/**
+ * The WMSLegendProvider.
+ *
+ * Provides the legend of WMS layers via `GetLegendGraphic`.
+ *
+ * @class
+ */
+export class WMSLegendProvider extends BaseLegendProvider {
+
+  /**
+   * The ol sources this provider is capable of providing the legend for.
+   *
+   * @type {Array}
+   */
+  static sourceCls = [
+    OlSourceTileWMS,
+    OlSourceImageWMS
+  ];
+
+  /**
+   * Returns the legend classes of the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to get the legend classes for.
+   * @return {Array} The legend classes.
+   */
+  getLegendClasses(layer) {
+    return [{
+      name: '',
+      icons: [Shared.getLegendGraphicUrl(layer)]
+    }];
+  }
+}
+
+export default WMSLegendProvider;
@@ -0,0 +1,77 @@
+import OlSourceWMTS from 'ol/source/WMTS';
+
+import BaseLegendProvider from './BaseLegendProvider';
+
+/**
+ * The WMTSLegendProvider.
+ *
+ * Provides the legend of WMTS layers via the `LegendURL` of the current
+ * style of the layer. As the WMTS source doesn't keep the capabilities, they
+ * have to be set (as parsed by `ol.format.WMTSCapabilities`) as layer
+ * property `customPrintWmtsCapabilities`.
+ *
+ * @class
+ */
+export class WMTSLegendProvider extends BaseLegendProvider {
+
+  /**
+   * The key in the layer properties to lookup for the WMTS capabilities.
+   *
+   * @type {string}
+   */
+  static CAPABILITIES_KEY = 'customPrintWmtsCapabilities';
+
+  /**
+   * The ol sources this provider is capable of providing the legend for.
+   *
+   * @type {Array}
+   */
+  static sourceCls = [
+    OlSourceWMTS
+  ];
+
+  /**
+   * Checks if the provider is capable of providing the legend for the given
+   * layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to check.
+   * @return {boolean} Whether the legend of the layer can be provided or not.
+   */
+  static canProvide(layer) {
+    return super.canProvide(layer) && !!layer.get(this.CAPABILITIES_KEY);
+  }
+
+  /**
+   * Returns the legend classes of the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to get the legend classes for.
+   * @return {Array} The legend classes.
+   */
+  getLegendClasses(layer) {
+    const source = layer.getSource();
+    const capabilities = layer.get(this.constructor.CAPABILITIES_KEY);
+    const capabilitiesLayers = capabilities.Contents && capabilities.Contents.Layer ?
+      capabilities.Contents.Layer :
+      [];
+    const capabilitiesLayer = capabilitiesLayers.find(capLayer => {
+      return capLayer.Identifier === source.getLayer();
+    });
+    const styles = capabilitiesLayer && capabilitiesLayer.Style ?
+      capabilitiesLayer.Style :
+      [];
+    const style = styles.find(s => s.Identifier === source.getStyle()) ||
+      styles.find(s => s.isDefault);
+    const legendUrls = style && style.LegendURL ? style.LegendURL : [];
+
+    if (legendUrls.length === 0) {
+      return [];
+    }
+
+    return [{
+      name: '',
+      icons: legendUrls.map(legendUrl => legendUrl.href)
+    }];
+  }
+}
+
+export default WMTSLegendProvider;
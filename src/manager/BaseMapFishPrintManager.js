@@ -1,20 +1,43 @@
 import OlMap from 'ol/Map';
+import OlView from 'ol/View';
+import OlLayerImage from 'ol/layer/Image';
 import OlLayerVector from 'ol/layer/Vector';
+import OlLayerGroup from 'ol/layer/Group';
 import OlSourceTileWMS from 'ol/source/TileWMS';
 import OlSourceImageWMS from 'ol/source/ImageWMS';
+import OlSourceImageStatic from 'ol/source/ImageStatic';
 import OlSourceVector from 'ol/source/Vector';
 import OlFeature from 'ol/Feature';
+import OlGeomPoint from 'ol/geom/Point';
+import OlGeomLineString from 'ol/geom/LineString';
 import { fromExtent } from 'ol/geom/Polygon';
+import { getUid } from 'ol/util';
+import {
+  equivalent,
+  get as getProjection,
+  getPointResolution,
+  transform as transformCoordinate,
+  transformExtent
+} from 'ol/proj';
 import {
   containsExtent,
+  createEmpty,
+  extend,
   getCenter,
-  getSize
+  getHeight,
+  getSize,
+  getWidth
 } from 'ol/extent';
 
 import OlStyleStyle from 'ol/style/Style';
 import OlStyleFill from 'ol/style/Fill';
+import { toContext } from 'ol/render';
 
 import OlInteractionTransform from '../interaction/InteractionTransform';
+import StaticLegendProvider from '../legend/StaticLegendProvider';
+import WMSLegendProvider from '../legend/WMSLegendProvider';
+import WMTSLegendProvider from '../legend/WMTSLegendProvider';
+import ArcGISRestLegendProvider from '../legend/ArcGISRestLegendProvider';
 import Shared from '../util/Shared';
 import Logger from '../util/Logger';
 
@@ -23,7 +46,8 @@ import Observable from '../observable/Observable';
 /**
  * The BaseMapFishPrintManager.
  *
- * @fires {change:layout | change:outputformat | change:dpi | change:scale}
+ * @fires {change:layout | change:outputformat | change:dpi | change:scale |
+ *         change:pages | change:activepage | change:printprojection}
  * @class
  */
 export class BaseMapFishPrintManager extends Observable {
@@ -50,6 +74,49 @@ export class BaseMapFishPrintManager extends Observable {
    */
   static CUSTOM_PRINT_SERIALIZER_OPTS_KEY = 'customPrintSerializerOpts';
 
+  /**
+   * The key in the layer properties to lookup for the feature property to
+   * label the legend classes of a vector layer with.
+   *
+   * @type {string}
+   */
+  static CUSTOM_PRINT_LEGEND_PROPERTY_KEY = 'customPrintLegendProperty';
+
+  /**
+   * The key in the page (extent feature) properties to store the scale of the
+   * page in.
+   *
+   * @type {string}
+   */
+  static PAGE_SCALE_KEY = 'printScale';
+
+  /**
+   * The inches per map unit.
+   *
+   * @type {Object}
+   */
+  static INCHES_PER_UNIT = {
+    'degrees': 4374754,
+    'ft': 12,
+    'm': 39.37
+  };
+
+  /**
+   * The codes of the errors returned by `validatePayload`.
+   *
+   * @type {Object}
+   */
+  static VALIDATION_ERROR_CODES = {
+    INVALID_LAYOUT: 'invalidLayout',
+    UNKNOWN_ATTRIBUTE: 'unknownAttribute',
+    MISSING_ATTRIBUTE: 'missingAttribute',
+    INVALID_TYPE: 'invalidType',
+    INVALID_DPI: 'invalidDpi',
+    INVALID_SCALE: 'invalidScale',
+    INVALID_OUTPUT_FORMAT: 'invalidOutputFormat',
+    INVALID_LAYER_TYPE: 'invalidLayerType'
+  };
+
   /**
    * The map this PrintManager is bound to. Required.
    *
@@ -57,6 +124,17 @@ export class BaseMapFishPrintManager extends Observable {
    */
   map = null;
 
+  /**
+   * The projection (or its code) to print in, e.g. to print a map shown in
+   * Web Mercator in the local UTM zone. The projection must be known to
+   * `ol.proj`. Default is to the projection of the map view. Use
+   * `setPrintProjection` to change it after the manager has been
+   * initialized.
+   *
+   * @type {ol.proj.ProjectionLike}
+   */
+  printProjection = null;
+
   /**
    * Base url of the print service.
    *
@@ -94,6 +172,36 @@ export class BaseMapFishPrintManager extends Observable {
    */
   credentialsMode = 'same-origin';
 
+  /**
+   * A custom fetch implementation to send all requests to the print service
+   * with. Must be compatible to the signature of `window.fetch`. Default is
+   * to the global `fetch`.
+   *
+   * @type {Function}
+   */
+  fetchFn = null;
+
+  /**
+   * Functions to intercept every request to the print service with. Each
+   * interceptor receives an object containing the `url` and the fetch
+   * `opts` of the request and must return (or resolve with) the (modified)
+   * object. The interceptors will be called in the given order.
+   *
+   * @type {Array}
+   */
+  requestInterceptors = [];
+
+  /**
+   * Functions to intercept every response of the print service with. Each
+   * interceptor receives the response and the (intercepted) request object
+   * containing the `url` and the fetch `opts` and must return (or resolve
+   * with) a response, e.g. the one of a repeated request after refreshing
+   * an expired token. The interceptors will be called in the given order.
+   *
+   * @type {Array}
+   */
+  responseInterceptors = [];
+
   /**
    * Key-value pairs of custom data to be sent to the print service. This is
    * e.g. useful for complex layout definitions on the server side that
@@ -145,6 +253,39 @@ export class BaseMapFishPrintManager extends Observable {
    */
   legendFilter = () => true;
 
+  /**
+   * The feature property to label the legend classes of vector layers with.
+   * If given, a legend class will be created for every distinct value of the
+   * property, otherwise for every distinct style. May be overridden per
+   * layer via the `customPrintLegendProperty` layer property.
+   *
+   * @type {string}
+   */
+  vectorLegendProperty = null;
+
+  /**
+   * The size (width and height in pixels) of the symbol images generated for
+   * the legend classes of vector layers.
+   *
+   * @type {Array}
+   */
+  legendSymbolSize = [20, 20];
+
+  /**
+   * The legend providers to use. May be overridden or extended to obtain
+   * custom functionality. The first provider capable of providing the legend
+   * of a layer will be used. The legends of vector layers without a suitable
+   * provider will be generated from their styles.
+   *
+   * @type {Array}
+   */
+  legendProviders = [
+    StaticLegendProvider,
+    WMSLegendProvider,
+    WMTSLegendProvider,
+    ArcGISRestLegendProvider
+  ];
+
   /**
    * An array determining custom print scales. If provided, these will override
    * the scales retrieved from print capabilities.
@@ -154,12 +295,34 @@ export class BaseMapFishPrintManager extends Observable {
   customPrintScales = [];
 
   /**
-   * Default timeout in ms after which print job polling will be canceled.
+   * Timeout in ms after which a single request to the print service (e.g.
+   * a status request while polling a print job) will be canceled. Use 0 to
+   * disable the timeout.
    *
    * @type {number}
    */
   timeout = 5000;
 
+  /**
+   * Whether to render printable layers no suitable serializer is available
+   * for on the client and to print them as static image (encoded as base64)
+   * instead. Requires a serializer capable of serializing
+   * `ol.source.ImageStatic` sources, e.g. the MapFishPrintV3ImageSerializer,
+   * and is thus not supported by the MapFishPrintV2Manager. Default is to
+   * `false`.
+   *
+   * @type {boolean}
+   */
+  rasterizeUnsupportedLayers = false;
+
+  /**
+   * Timeout in ms after which the client side rendering of a single layer
+   * will be canceled.
+   *
+   * @type {number}
+   */
+  rasterizeTimeout = 10000;
+
   /**
    * The supported layouts by the print service.
    *
@@ -241,13 +404,40 @@ export class BaseMapFishPrintManager extends Observable {
   _initiated = false;
 
   /**
-   * Feature representing the page extent.
+   * Feature representing the extent of the currently active page.
    *
    * @type {ol.Feature}
    * @private
    */
   _extentFeature = null;
 
+  /**
+   * Features representing the extents of all pages to print (in print
+   * order).
+   *
+   * @type {Array}
+   * @private
+   */
+  _extentFeatures = [];
+
+  /**
+   * The canvas the mask around the extent features is drawn on before being
+   * applied to the map.
+   *
+   * @type {HTMLCanvasElement}
+   * @private
+   */
+  _maskCanvas = null;
+
+  /**
+   * The state of the print job whose payload is currently built (see
+   * `withPrintState`).
+   *
+   * @type {Object}
+   * @private
+   */
+  _printState = {};
+
   /**
    * The constructor
    */
@@ -305,6 +495,68 @@ export class BaseMapFishPrintManager extends Observable {
     }
   }
 
+  /**
+   * Sends a request to the print service using the configured `fetchFn` and
+   * passes it through the request and response interceptors.
+   *
+   * @param {string} url The url to request.
+   * @param {Object} opts The fetch options of the request.
+   *
+   * @return {Promise} Resolves with the (intercepted) response.
+   */
+  request(url, opts = {}) {
+    const fetchFn = this.fetchFn || fetch;
+
+    return this.requestInterceptors
+      .reduce((promise, interceptor) => promise.then(interceptor),
+        Promise.resolve({url, opts}))
+      .then(request => this.responseInterceptors
+        .reduce((promise, interceptor) => promise
+          .then(response => interceptor(response, request)),
+        fetchFn(request.url, request.opts)));
+  }
+
+  /**
+   * Returns a validation error as returned by `validatePayload`.
+   *
+   * @param {string} code The code of the error.
+   * @param {string} path The path of the invalid property in the payload.
+   * @param {string} message The error message.
+   *
+   * @return {Object} The validation error.
+   */
+  createValidationError(code, path, message) {
+    return {
+      code,
+      path,
+      message
+    };
+  }
+
+  /**
+   * Validates the given print payload (see `validatePayload` of the
+   * subclasses) and rejects if it's invalid.
+   *
+   * @param {Object} payload The payload to validate.
+   *
+   * @return {Promise} Resolves with the payload if it's valid, rejects with
+   *                   an error containing the validation errors (`errors`)
+   *                   otherwise.
+   */
+  assertValidPayload(payload) {
+    const errors = this.validatePayload(payload);
+
+    if (errors.length === 0) {
+      return Promise.resolve(payload);
+    }
+
+    const error = new Error(`Invalid print payload: ` +
+      errors.map(err => err.message).join(' '));
+    error.errors = errors;
+
+    return Promise.reject(error);
+  }
+
   /**
    * Initializes the print extent layer.
    */
@@ -352,32 +604,40 @@ export class BaseMapFishPrintManager extends Observable {
     const canvas = ctx.canvas;
     const width = canvas.width;
     const height = canvas.height;
-    const coords = olEvt.target.getSource().getFeatures()[0].getGeometry().getCoordinates()[0];
-
-    const A = this.map.getPixelFromCoordinate(coords[1]);
-    const B = this.map.getPixelFromCoordinate(coords[4]);
-    const C = this.map.getPixelFromCoordinate(coords[3]);
-    const D = this.map.getPixelFromCoordinate(coords[2]);
-
-    ctx.fillStyle = this.maskColor;
-
-    ctx.beginPath();
 
-    ctx.moveTo(0, 0);
-    ctx.lineTo(width, 0);
-    ctx.lineTo(width, height);
-    ctx.lineTo(0, height);
-    ctx.lineTo(0, 0);
-    ctx.closePath();
-
-    ctx.moveTo(A[0], A[1]);
-    ctx.lineTo(B[0], B[1]);
-    ctx.lineTo(C[0], C[1]);
-    ctx.lineTo(D[0], D[1]);
-    ctx.lineTo(A[0], A[1]);
-    ctx.closePath();
+    // the pages may overlap, so they are cut out of the mask on a separate
+    // canvas before the mask is drawn on top of the map.
+    if (!this._maskCanvas) {
+      this._maskCanvas = document.createElement('canvas');
+    }
+    const maskCanvas = this._maskCanvas;
+    maskCanvas.width = width;
+    maskCanvas.height = height;
+    const maskCtx = maskCanvas.getContext('2d');
+
+    maskCtx.fillStyle = this.maskColor;
+    maskCtx.fillRect(0, 0, width, height);
+
+    maskCtx.globalCompositeOperation = 'destination-out';
+    maskCtx.fillStyle = '#000';
+
+    olEvt.target.getSource().getFeatures().forEach(feature => {
+      const coords = feature.getGeometry().getCoordinates()[0];
+
+      maskCtx.beginPath();
+      coords.forEach((coord, idx) => {
+        const pixel = this.map.getPixelFromCoordinate(coord);
+        if (idx === 0) {
+          maskCtx.moveTo(pixel[0], pixel[1]);
+        } else {
+          maskCtx.lineTo(pixel[0], pixel[1]);
+        }
+      });
+      maskCtx.closePath();
+      maskCtx.fill();
+    });
 
-    ctx.fill();
+    ctx.drawImage(maskCanvas, 0, 0);
 
     ctx.restore();
   }
@@ -392,7 +652,11 @@ export class BaseMapFishPrintManager extends Observable {
     const extentFeature = new OlFeature(fromExtent(printExtent));
     const extentLayerSource = this.extentLayer.getSource();
 
+    extentFeature.set(this.constructor.PAGE_SCALE_KEY,
+      this.getScaleValue(this.getScale()));
+
     this._extentFeature = extentFeature;
+    this._extentFeatures = [extentFeature];
 
     extentLayerSource.clear();
     extentLayerSource.addFeature(this._extentFeature);
@@ -401,183 +665,791 @@ export class BaseMapFishPrintManager extends Observable {
   }
 
   /**
-   * Initializes the transform interaction.
+   * Returns the features representing the extents of all pages to print.
+   *
+   * @return {Array} The page features.
    */
-  initTransformInteraction() {
-    if (Shared.getInteractionsByName(this.map,
-      this.constructor.TRANSFORM_INTERACTION_NAME).length === 0) {
-      const transform = new OlInteractionTransform({
-        features: [this._extentFeature],
-        translateFeature: true,
-        translate: true,
-        stretch: false,
-        scale: true,
-        rotate: true,
-        keepAspectRatio: true,
-        ...this.transformOpts
-      });
-
-      transform.set('name', this.constructor.TRANSFORM_INTERACTION_NAME);
-
-      transform.on('scaling', this.onTransformScaling.bind(this));
-
-      this.map.addInteraction(transform);
-    }
+  getPages() {
+    return this._extentFeatures;
   }
 
   /**
-   * Called on translate interaction's `scaling` event.
+   * Returns the feature representing the extent of the currently active page,
+   * i.e. the page the scale and rotation is applied to.
+   *
+   * @return {ol.Feature} The active page feature.
    */
-  onTransformScaling() {
-    const scale = this.getClosestScaleToFitExtentFeature();
-    this.setScale(scale);
+  getActivePage() {
+    return this._extentFeature;
   }
 
   /**
-   * Returns the closest scale to current print feature's extent.
+   * Sets the page to apply scale and rotation changes to. The scale of the
+   * manager will be set to the scale of the page.
+   *
+   * @param {ol.Feature} page The page feature to activate.
    */
-  getClosestScaleToFitExtentFeature() {
-    const scales = this.getScales();
-    const printFeatureExtent = this._extentFeature.getGeometry().getExtent();
-    const printFeatureSize = getSize(printFeatureExtent);
-    let closest = Number.POSITIVE_INFINITY;
-    let fitScale = scales[0];
+  setActivePage(page) {
+    if (page === this._extentFeature) {
+      return;
+    }
 
-    scales.forEach(scale => {
-      const scaleVal = scale.value ? scale.value : scale;
-      const printScaleExtent = this.calculatePrintExtent(scaleVal);
-      const printScaleSize = getSize(printScaleExtent);
-      const diff = Math.abs(printScaleSize[0] - printFeatureSize[0]) +
-        Math.abs(printScaleSize[1] - printFeatureSize[1]);
+    if (!this.getPages().includes(page)) {
+      Logger.warn('The given feature is not a page of this manager.');
+      return;
+    }
 
-      if (diff < closest) {
-        closest = diff;
-        fitScale = scale;
-      }
+    this._extentFeature = page;
+
+    const pageScale = page.get(this.constructor.PAGE_SCALE_KEY);
+    const scale = this.getScales().find(scale => {
+      return this.getScaleValue(scale) === pageScale;
     });
 
-    return fitScale;
+    if (scale && scale !== this.getScale()) {
+      this._scale = scale;
+      this.dispatch('change:scale', scale);
+    }
+
+    const transform = this.getTransformInteraction();
+    if (transform) {
+      transform.select(page);
+    }
+
+    this.dispatch('change:activepage', page);
   }
 
   /**
-   * Returns the closest scale to fit the print feature's extent into the
-   * current extent of the map.
+   * Adds a page to print and activates it.
+   *
+   * @param {Object} pageSpec The page to add.
+   * @param {ol.Coordinate} pageSpec.center The center of the page. Default is
+   *                                        to the center of the map view.
+   * @param {number} pageSpec.scale The scale of the page. Default is to the
+   *                                current scale.
+   * @param {number} pageSpec.rotation The rotation of the page in degrees.
+   *                                   Default is to 0.
+   *
+   * @return {ol.Feature} The feature representing the added page.
    */
-  getClosestScaleToFitMap() {
-    const mapView = this.map.getView();
-    const mapExtent = mapView.calculateExtent();
-    const scales = this.getScales();
-    let fitScale = scales[0];
+  addPage(pageSpec = {}) {
+    const page = this.createPage(pageSpec);
 
-    scales.forEach(scale => {
-      const scaleVal = scale.value ? scale.value : scale;
-      const printExtent = this.calculatePrintExtent(scaleVal);
-      const contains = containsExtent(mapExtent, printExtent);
+    this._extentFeatures = [...this._extentFeatures, page];
+    this.extentLayer.getSource().addFeature(page);
 
-      if (contains) {
-        fitScale = scale;
-      }
-    });
+    this.dispatch('change:pages', this.getPages());
 
-    return fitScale;
+    this.setActivePage(page);
+
+    return page;
   }
 
   /**
-   * Calculates the current rotation of the print extent feature.
+   * Removes the given page. The last remaining page can't be removed.
+   *
+   * @param {ol.Feature} page The page feature to remove.
    */
-  calculateRotation() {
-    const extentFeature = this._extentFeature;
-    const coords = extentFeature.getGeometry().getCoordinates()[0];
-    const p1 = coords[0];
-    const p2 = coords[3];
-    const rotation = Math.atan2(p2[1] - p1[1], p2[0] - p1[0]) * 180 / Math.PI;
+  removePage(page) {
+    const pages = this.getPages();
 
-    return -rotation;
-  }
+    if (!pages.includes(page)) {
+      Logger.warn('The given feature is not a page of this manager.');
+      return;
+    }
 
-  /**
-   * Resets the rotation of the print extent feature.
-   */
-  resetRotation() {
-    this.setRotation(this.calculateRotation() * -1);
+    if (pages.length === 1) {
+      Logger.warn('The last page can\'t be removed.');
+      return;
+    }
+
+    this._extentFeatures = pages.filter(feature => feature !== page);
+    this.extentLayer.getSource().removeFeature(page);
+
+    if (page === this._extentFeature) {
+      const transform = this.getTransformInteraction();
+      if (transform) {
+        transform.select(null);
+      }
+      this.setActivePage(this._extentFeatures[0]);
+    }
+
+    this.dispatch('change:pages', this.getPages());
   }
 
   /**
-   * Rotates the print extent by the amount of the given rotation.
+   * Replaces all pages with the given ones and activates the first one.
+   *
+   * @param {Array} pageSpecs The pages to set, see `addPage` for the
+   *                          properties of a single page.
    *
-   * @param {number} rotation The amount to rotate.
+   * @return {Array} The features representing the pages.
    */
-  setRotation(rotation) {
-    const center = getCenter(this._extentFeature.getGeometry().getExtent());
-    this._extentFeature.getGeometry().rotate(rotation, center);
+  setPages(pageSpecs) {
+    if (!pageSpecs || pageSpecs.length === 0) {
+      Logger.warn('At least one page has to be given.');
+      return;
+    }
+
+    const pages = pageSpecs.map(pageSpec => this.createPage(pageSpec));
+    const extentLayerSource = this.extentLayer.getSource();
+    const transform = this.getTransformInteraction();
+
+    if (transform) {
+      transform.select(null);
+    }
+
+    this._extentFeatures.forEach(page => extentLayerSource.removeFeature(page));
+    this._extentFeatures = pages;
+    this._extentFeature = null;
+    extentLayerSource.addFeatures(pages);
+
+    this.dispatch('change:pages', this.getPages());
+
+    this.setActivePage(pages[0]);
+
+    return pages;
   }
 
   /**
-   * Updates the geometry of the print extent feature to match the current scale.
+   * Replaces all pages with a grid of pages covering the given geometry (or
+   * extent). Pages of the grid not intersecting the geometry will be dropped.
+   *
+   * @param {ol.geom.Geometry|ol.Extent} geometry The geometry to cover.
+   * @param {Object} opts The grid options.
+   * @param {string} opts.layout The name of the layout to use. Default is to
+   *                             the current layout.
+   * @param {number} opts.scale The scale (value) of the pages. Default is to
+   *                            the current scale.
+   * @param {number} opts.overlap The overlap of neighbouring pages in percent
+   *                              of the page size. Default is to 0.
+   *
+   * @return {Array} The features representing the pages.
    */
-  updatePrintExtent() {
-    if (this.isInitiated()) {
-      const printExtent = this.calculatePrintExtent();
-      if (this._extentFeature) {
-        this._extentFeature.setGeometry(fromExtent(printExtent));
+  createPageGrid(geometry, opts = {}) {
+    const {
+      layout,
+      scale = this.getScaleValue(this.getScale()),
+      overlap = 0
+    } = opts;
+
+    if (!geometry) {
+      Logger.warn('No geometry to create the page grid for given.');
+      return;
+    }
+
+    if (layout) {
+      this.setLayout(layout);
+    }
+
+    const coverGeometry = Array.isArray(geometry) ? fromExtent(geometry) : geometry;
+    const coverExtent = coverGeometry.getExtent();
+    const coverCenter = getCenter(coverExtent);
+    const pageExtent = this.calculatePrintExtent(scale,
+      this.getPageSizeCenter(coverCenter));
+    const pageWidth = getWidth(pageExtent);
+    const pageHeight = getHeight(pageExtent);
+    const stepX = pageWidth * (1 - overlap / 100);
+    const stepY = pageHeight * (1 - overlap / 100);
+
+    if (stepX <= 0 || stepY <= 0) {
+      Logger.warn(`Invalid page overlap '${overlap}' given.`);
+      return;
+    }
+
+    const columns = Math.max(1,
+      Math.ceil((getWidth(coverExtent) - pageWidth) / stepX) + 1);
+    const rows = Math.max(1,
+      Math.ceil((getHeight(coverExtent) - pageHeight) / stepY) + 1);
+
+    // center the grid on the extent to cover
+    const gridWidth = pageWidth + (columns - 1) * stepX;
+    const gridHeight = pageHeight + (rows - 1) * stepY;
+    const minX = coverCenter[0] - gridWidth / 2;
+    const maxY = coverCenter[1] + gridHeight / 2;
+
+    const pageSpecs = [];
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const center = [
+          minX + pageWidth / 2 + column * stepX,
+          maxY - pageHeight / 2 - row * stepY
+        ];
+        const extent = [
+          center[0] - pageWidth / 2,
+          center[1] - pageHeight / 2,
+          center[0] + pageWidth / 2,
+          center[1] + pageHeight / 2
+        ];
+
+        if (coverGeometry.intersectsExtent(extent)) {
+          pageSpecs.push({
+            center,
+            scale
+          });
+        }
       }
     }
+
+    return this.setPages(pageSpecs);
   }
 
   /**
-   * Calculates the extent based on a scale.
+   * Replaces all pages with a series of pages following the given line
+   * (strip map). Every page will be rotated to align with the direction of
+   * the part of the line it covers. The rotation is normalized to
+   * (-90°, 90°], so the pages are never printed upside down.
    *
-   * @param {number} scale The scale to calculate the extent for. If not given,
-   *                       the current scale of the provider will be used.
+   * @param {ol.geom.LineString} lineString The line to follow.
+   * @param {Object} opts The strip options.
+   * @param {string} opts.layout The name of the layout to use. Default is to
+   *                             the current layout.
+   * @param {number} opts.scale The scale (value) of the pages. Default is to
+   *                            the current scale.
+   * @param {number} opts.overlap The overlap of consecutive pages in percent
+   *                              of the page width. Default is to 0.
    *
-   * @return {ol.Extent} The extent.
+   * @return {Array} The features representing the pages.
    */
-  calculatePrintExtent(scale) {
-    const printMapSize = this.getPrintMapSize();
-    const printScale = scale || this.getScale();
+  createStripPages(lineString, opts = {}) {
     const {
-      width,
-      height
-    } = this.getPrintExtentSize(printMapSize, printScale);
+      layout,
+      scale = this.getScaleValue(this.getScale()),
+      overlap = 0
+    } = opts;
 
-    let center;
-    if (this._extentFeature) {
-      center = getCenter(this._extentFeature.getGeometry().getExtent());
-    } else {
-      center = this.map.getView().getCenter();
+    if (!lineString || lineString.getType() !== 'LineString') {
+      Logger.warn('No LineString to create the strip pages for given.');
+      return;
     }
 
-    const printExtent = [
-      center[0] - (width / 2),
-      center[1] - (height / 2),
-      center[0] + (width / 2),
-      center[1] + (height / 2)
-    ];
+    if (layout) {
+      this.setLayout(layout);
+    }
+
+    const pageWidth = getWidth(this.calculatePrintExtent(scale,
+      this.getPageSizeCenter(getCenter(lineString.getExtent()))));
+    const step = pageWidth * (1 - overlap / 100);
+    const length = lineString.getLength();
+
+    if (step <= 0) {
+      Logger.warn(`Invalid page overlap '${overlap}' given.`);
+      return;
+    }
+
+    const pageCount = Math.max(1, Math.ceil((length - pageWidth) / step) + 1);
+
+    const pageSpecs = [];
+    for (let i = 0; i < pageCount; i++) {
+      const start = lineString.getCoordinateAt(
+        Math.min(i * step / length, 1));
+      const end = lineString.getCoordinateAt(
+        Math.min((i * step + pageWidth) / length, 1));
+      const direction = Math.atan2(end[1] - start[1], end[0] - start[0]);
+      let rotation = -direction * 180 / Math.PI;
+
+      // a page rotated by 180° covers the same area, but is upside down.
+      if (rotation > 90) {
+        rotation -= 180;
+      } else if (rotation <= -90) {
+        rotation += 180;
+      }
+
+      pageSpecs.push({
+        center: [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2],
+        scale,
+        rotation
+      });
+    }
 
-    return printExtent;
+    return this.setPages(pageSpecs);
   }
 
   /**
-   * Computes size of print extent in pixel depending on dimensions of print map
-   * and print scale.
+   * Creates a page feature for the given page.
+   *
+   * @param {Object} pageSpec The page to create, see `addPage` for the
+   *                          properties of a single page.
+   *
+   * @return {ol.Feature} The page feature.
+   */
+  createPage(pageSpec) {
+    const {
+      center = this.map.getView().getCenter(),
+      scale = this.getScaleValue(this.getScale()),
+      rotation = 0
+    } = pageSpec;
+
+    const printExtent = this.calculatePrintExtent(scale, center);
+    const page = new OlFeature(fromExtent(printExtent));
+
+    page.set(this.constructor.PAGE_SCALE_KEY, scale);
+
+    if (rotation) {
+      this.setRotation(-rotation * Math.PI / 180, page);
+    }
+
+    return page;
+  }
+
+  /**
+   * Returns the center, scale and rotation (in degrees) of the given page.
+   *
+   * @param {ol.Feature} page The page feature. Default is to the active page.
+   *
+   * @return {Object} The page specification.
+   */
+  getPageSpec(page = this._extentFeature) {
+    return {
+      center: getCenter(page.getGeometry().getExtent()),
+      scale: page.get(this.constructor.PAGE_SCALE_KEY),
+      rotation: this.calculateRotation(page) || 0
+    };
+  }
+
+  /**
+   * Returns the specification of the given page (see `getPageSpec`) with its
+   * center transformed into the print projection.
+   *
+   * @param {ol.Feature} page The page feature. Default is to the active page.
+   *
+   * @return {Object} The page specification.
+   */
+  getPrintPageSpec(page = this._extentFeature) {
+    const pageSpec = this.getPageSpec(page);
+
+    return {
+      ...pageSpec,
+      center: transformCoordinate(pageSpec.center,
+        this.map.getView().getProjection(), this.getPrintProjection())
+    };
+  }
+
+  /**
+   * Returns the projection to print in.
+   *
+   * @return {ol.proj.Projection} The print projection.
+   */
+  getPrintProjection() {
+    return getProjection(this.printProjection) ||
+      this.map.getView().getProjection();
+  }
+
+  /**
+   * Sets the projection to print in. The pages will be updated to match the
+   * current scale in the given projection. Tile layers (e.g. WMTS, XYZ or
+   * OSM) whose tiles are not available in the given projection can't be
+   * reprojected by the print service and will be skipped while printing.
+   *
+   * @param {ol.proj.ProjectionLike} projection The projection (or its code)
+   *                                            to print in. Pass `null` to
+   *                                            print in the projection of
+   *                                            the map view.
+   */
+  setPrintProjection(projection) {
+    if (projection && !getProjection(projection)) {
+      Logger.warn(`Unknown projection '${projection}' given.`);
+      return;
+    }
+
+    this.printProjection = projection;
+
+    this.updatePrintExtent();
+
+    this.dispatch('change:printprojection', this.getPrintProjection());
+  }
+
+  /**
+   * Returns the extent containing all pages.
+   *
+   * @return {ol.Extent|undefined} The extent of all pages.
+   */
+  getPagesExtent() {
+    const pages = this.getPages();
+
+    if (pages.length === 0) {
+      return;
+    }
+
+    return pages.reduce((extent, page) => {
+      return extend(extent, page.getGeometry().getExtent());
+    }, createEmpty());
+  }
+
+  /**
+   * Returns the numeric value of the given scale.
+   *
+   * @param {Object|number} scale The scale (object).
+   *
+   * @return {number} The value of the scale.
+   */
+  getScaleValue(scale) {
+    return scale && scale.value ? scale.value : scale;
+  }
+
+  /**
+   * Returns the transform interaction created by the manager.
+   *
+   * @return {ol.interaction.Interaction|undefined} The transform interaction.
+   */
+  getTransformInteraction() {
+    if (!this.map) {
+      return;
+    }
+
+    return Shared.getInteractionsByName(this.map,
+      this.constructor.TRANSFORM_INTERACTION_NAME)[0];
+  }
+
+  /**
+   * Initializes the transform interaction.
+   */
+  initTransformInteraction() {
+    if (Shared.getInteractionsByName(this.map,
+      this.constructor.TRANSFORM_INTERACTION_NAME).length === 0) {
+      const transform = new OlInteractionTransform({
+        layers: [this.extentLayer],
+        translateFeature: true,
+        translate: true,
+        stretch: false,
+        scale: true,
+        rotate: true,
+        keepAspectRatio: true,
+        ...this.transformOpts
+      });
+
+      transform.set('name', this.constructor.TRANSFORM_INTERACTION_NAME);
+
+      transform.on('select', this.onTransformSelect.bind(this));
+      transform.on('scaling', this.onTransformScaling.bind(this));
+
+      this.map.addInteraction(transform);
+    }
+  }
+
+  /**
+   * Called on transform interaction's `select` event. Activates the selected
+   * page.
+   *
+   * @param {Object} evt The select event.
+   */
+  onTransformSelect(evt) {
+    if (evt.feature && this.getPages().includes(evt.feature)) {
+      this.setActivePage(evt.feature);
+    }
+  }
+
+  /**
+   * Called on translate interaction's `scaling` event.
+   */
+  onTransformScaling() {
+    const scale = this.getClosestScaleToFitExtentFeature();
+    this.setScale(scale);
+  }
+
+  /**
+   * Returns the closest scale to current print feature's extent.
+   */
+  getClosestScaleToFitExtentFeature() {
+    const scales = this.getScales();
+    const printFeatureExtent = this._extentFeature.getGeometry().getExtent();
+    const printFeatureSize = getSize(printFeatureExtent);
+    let closest = Number.POSITIVE_INFINITY;
+    let fitScale = scales[0];
+
+    scales.forEach(scale => {
+      const scaleVal = scale.value ? scale.value : scale;
+      const printScaleExtent = this.calculatePrintExtent(scaleVal);
+      const printScaleSize = getSize(printScaleExtent);
+      const diff = Math.abs(printScaleSize[0] - printFeatureSize[0]) +
+        Math.abs(printScaleSize[1] - printFeatureSize[1]);
+
+      if (diff < closest) {
+        closest = diff;
+        fitScale = scale;
+      }
+    });
+
+    return fitScale;
+  }
+
+  /**
+   * Returns the closest scale to fit the print feature's extent into the
+   * current extent of the map.
+   */
+  getClosestScaleToFitMap() {
+    const mapView = this.map.getView();
+    const mapExtent = mapView.calculateExtent();
+    const scales = this.getScales();
+    let fitScale = scales[0];
+
+    scales.forEach(scale => {
+      const scaleVal = scale.value ? scale.value : scale;
+      const printExtent = this.calculatePrintExtent(scaleVal);
+      const contains = containsExtent(mapExtent, printExtent);
+
+      if (contains) {
+        fitScale = scale;
+      }
+    });
+
+    return fitScale;
+  }
+
+  /**
+   * Calculates the current rotation of the given print extent feature.
+   *
+   * @param {ol.Feature} extentFeature The extent feature. Default is to the
+   *                                   active page.
+   *
+   * @return {number} The rotation in degrees.
+   */
+  calculateRotation(extentFeature = this._extentFeature) {
+    const coords = extentFeature.getGeometry().getCoordinates()[0];
+    const p1 = coords[0];
+    const p2 = coords[3];
+    const rotation = Math.atan2(p2[1] - p1[1], p2[0] - p1[0]) * 180 / Math.PI;
+
+    return -rotation;
+  }
+
+  /**
+   * Resets the rotation of the print extent feature.
+   */
+  resetRotation() {
+    this.setRotation(this.calculateRotation() * Math.PI / 180);
+  }
+
+  /**
+   * Rotates the given print extent by the amount of the given rotation.
+   *
+   * @param {number} rotation The amount to rotate (in radians,
+   *                          counter-clockwise).
+   * @param {ol.Feature} extentFeature The extent feature to rotate. Default
+   *                                   is to the active page.
+   */
+  setRotation(rotation, extentFeature = this._extentFeature) {
+    const center = getCenter(extentFeature.getGeometry().getExtent());
+    extentFeature.getGeometry().rotate(rotation, center);
+  }
+
+  /**
+   * Updates the geometries of the print extent features to match the current
+   * scale (of the active page) and print map size. The center and rotation of
+   * the pages will be kept.
+   */
+  updatePrintExtent() {
+    if (this.isInitiated()) {
+      if (this._extentFeature) {
+        this._extentFeature.set(this.constructor.PAGE_SCALE_KEY,
+          this.getScaleValue(this.getScale()));
+      }
+
+      this.getPages().forEach(page => {
+        const {
+          center,
+          scale,
+          rotation
+        } = this.getPageSpec(page);
+
+        page.setGeometry(fromExtent(this.calculatePrintExtent(scale, center)));
+
+        if (rotation) {
+          this.setRotation(-rotation * Math.PI / 180, page);
+        }
+      });
+    }
+  }
+
+  /**
+   * Calculates the extent based on a scale.
+   *
+   * @param {number} scale The scale to calculate the extent for. If not given,
+   *                       the current scale of the provider will be used.
+   * @param {ol.Coordinate} center The center of the extent. If not given, the
+   *                               center of the active page or the map view
+   *                               will be used.
+   *
+   * @return {ol.Extent} The extent.
+   */
+  calculatePrintExtent(scale, center) {
+    const printMapSize = this.getPrintMapSize();
+    const printScale = scale || this.getScale();
+    const {
+      width,
+      height
+    } = this.getPrintExtentSize(printMapSize, printScale);
+
+    return this.getPrintExtentAroundCenter(center || this.getPrintCenter(),
+      width, height);
+  }
+
+  /**
+   * Returns the center to measure the size of pages (in the projection of
+   * the map view) at. The size only depends on the location if printing in
+   * a projection different from the one of the map view, otherwise the
+   * origin will be used to avoid rounding errors.
+   *
+   * @param {ol.Coordinate} center The center of the area to be covered by
+   *                               the pages.
+   *
+   * @return {ol.Coordinate} The center to measure the page size at.
+   */
+  getPageSizeCenter(center) {
+    return equivalent(this.map.getView().getProjection(),
+      this.getPrintProjection()) ? [0, 0] : center;
+  }
+
+  /**
+   * Returns the center of the given page or, if no page exists (yet), the
+   * center of the map view.
+   *
+   * @param {ol.Feature} page The page feature. Default is to the active page.
+   *
+   * @return {ol.Coordinate} The center (in the projection of the map view).
+   */
+  getPrintCenter(page = this._extentFeature) {
+    return page ?
+      getCenter(page.getGeometry().getExtent()) :
+      this.map.getView().getCenter();
+  }
+
+  /**
+   * Returns the extent of the given size around the given center. The size
+   * is given in units of the print projection, hence the extent will be
+   * calculated in the print projection and transformed into the projection
+   * of the map view afterwards.
+   *
+   * @param {ol.Coordinate} center The center of the extent (in the
+   *                               projection of the map view).
+   * @param {number} width The width of the extent in print projection units.
+   * @param {number} height The height of the extent in print projection
+   *                        units.
+   *
+   * @return {ol.Extent} The extent (in the projection of the map view).
+   */
+  getPrintExtentAroundCenter(center, width, height) {
+    const viewProjection = this.map.getView().getProjection();
+    const printProjection = this.getPrintProjection();
+    let viewWidth = width;
+    let viewHeight = height;
+
+    if (!equivalent(viewProjection, printProjection)) {
+      const printCenter = transformCoordinate(center, viewProjection,
+        printProjection);
+      const viewExtent = transformExtent([
+        printCenter[0] - (width / 2),
+        printCenter[1] - (height / 2),
+        printCenter[0] + (width / 2),
+        printCenter[1] + (height / 2)
+      ], printProjection, viewProjection);
+
+      // keep the given center, the transformed extent may be shifted
+      // slightly as the transformation isn't linear.
+      viewWidth = getWidth(viewExtent);
+      viewHeight = getHeight(viewExtent);
+    }
+
+    return [
+      center[0] - (viewWidth / 2),
+      center[1] - (viewHeight / 2),
+      center[0] + (viewWidth / 2),
+      center[1] + (viewHeight / 2)
+    ];
+  }
+
+
+  /**
+   * Computes size of print extent in units of the print projection depending
+   * on dimensions of print map and print scale.
    * @param {Object} printMapSize Print map size containing its width and height.
    * @param {number} printScale Print scale.
    *
    * @return {Object} Print extent size.
    */
   getPrintExtentSize(printMapSize, printScale) {
-    const mapUnits = this.map.getView().getProjection().getUnits();
-    const inchesPerUnit = {
-      'degrees': 4374754,
-      'ft': 12,
-      'm': 39.37
-    };
+    const inchesPerUnit = this.getInchesPerUnit(this.getPrintProjection());
     return {
-      width: printMapSize.width / 72 / inchesPerUnit[mapUnits] * printScale,
-      height: printMapSize.height / 72 / inchesPerUnit[mapUnits] * printScale
+      width: printMapSize.width / 72 / inchesPerUnit * printScale,
+      height: printMapSize.height / 72 / inchesPerUnit * printScale
     };
   }
 
+  /**
+   * Returns the number of inches per unit of the given projection.
+   *
+   * @param {ol.proj.Projection} projection The projection.
+   *
+   * @return {number} The inches per unit.
+   */
+  getInchesPerUnit(projection) {
+    return this.constructor.INCHES_PER_UNIT[projection.getUnits()] ||
+      (projection.getMetersPerUnit() || 1) * this.constructor.INCHES_PER_UNIT.m;
+  }
+
+  /**
+   * Returns the resolution (map units per pixel) of the print output of the
+   * given page for its scale and the currently selected dpi. The scale
+   * refers to the print projection, if the resolution is requested for
+   * another projection, it will be converted via the ground resolution at
+   * the center of the page.
+   *
+   * @param {ol.proj.Projection} projection The projection to get the
+   *                                        resolution in. Default is to the
+   *                                        projection of the map view.
+   * @param {ol.Feature} page The page to get the resolution for. Default is
+   *                          to the page currently serialized (see
+   *                          `withPrintState`) or the active page.
+   *
+   * @return {number} The print resolution.
+   */
+  getPrintResolution(projection = this.map.getView().getProjection(),
+    page = this._printState.page || this._extentFeature) {
+    const printProjection = this.getPrintProjection();
+    const dpi = this.getDpi();
+    const scaleVal = (page && page.get(this.constructor.PAGE_SCALE_KEY)) ||
+      this.getScaleValue(this.getScale());
+    const dpiVal = dpi.value ? dpi.value : dpi;
+    const printResolution = scaleVal / this.getInchesPerUnit(printProjection) /
+      dpiVal;
+
+    if (equivalent(projection, printProjection)) {
+      return printResolution;
+    }
+
+    const viewProjection = this.map.getView().getProjection();
+    const center = this.getPrintCenter(page);
+    const groundResolution = getPointResolution(printProjection,
+      printResolution, transformCoordinate(center, viewProjection,
+        printProjection), 'm');
+    const targetCenter = transformCoordinate(center, viewProjection,
+      projection);
+    const resolution = groundResolution / (projection.getMetersPerUnit() || 1);
+
+    return resolution * groundResolution /
+      getPointResolution(projection, resolution, targetCenter, 'm');
+  }
+
+  /**
+   * Checks if the given layer is visible at the print resolution, i.e. if
+   * the print resolution is within the (effective) resolution limits of the
+   * layer.
+   *
+   * @param {ol.layer.Base} layer The layer to check.
+   *
+   * @return {boolean} Whether the layer is visible at the print resolution
+   *                   or not.
+   */
+  isVisibleAtPrintResolution(layer) {
+    const {
+      minResolution,
+      maxResolution
+    } = this.getLayerState(layer);
+    const resolution = this.getPrintResolution();
+
+    return resolution >= minResolution && resolution < maxResolution;
+  }
+
   /**
    * Opens the given URL in a new browser tab to download the given response
    * (if header are set correctly).
@@ -592,6 +1464,97 @@ export class BaseMapFishPrintManager extends Observable {
     }
   }
 
+  /**
+   * Fetches the print result from the given URL using the configured
+   * `headers` and `credentialsMode`.
+   *
+   * @param {string} url The url of the print result.
+   * @param {Object} opts Additional options.
+   * @param {string} opts.filename The filename to use. Default is to the
+   *                               filename provided by the print service.
+   * @param {AbortSignal} opts.signal An optional signal to abort the request
+   *                                  with.
+   *
+   * @return {Promise} Resolves with an object containing the `blob`, the
+   *                   `filename` and the `mimeType` of the print result.
+   */
+  fetchPrintResult(url, opts = {}) {
+    const {
+      filename,
+      signal
+    } = opts;
+
+    return this.request(url, {
+      method: 'GET',
+      headers: {
+        ...this.headers
+      },
+      credentials: this.credentialsMode,
+      signal
+    })
+      .then(response => this.validateResponse(response))
+      .then(response => response.blob()
+        .then(blob => ({
+          blob,
+          filename: filename || this.getFilename(response, url),
+          mimeType: blob.type || response.headers.get('Content-Type')
+        }))
+      );
+  }
+
+  /**
+   * Returns the filename of the given print result response. The filename
+   * will be taken from the `Content-Disposition` header if available or from
+   * the given url otherwise. The encoded `filename*` parameter takes
+   * precedence over the plain `filename` parameter of the header.
+   *
+   * @param {Response} response The response of the print result.
+   * @param {string} url The url of the print result.
+   *
+   * @return {string} The filename.
+   */
+  getFilename(response, url) {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const extendedMatch = disposition.match(/filename\*=\s*[^']*'[^']*'([^;]+)/i);
+    const match = disposition.match(/filename=\s*(?:"([^"]+)"|([^;]+))/i);
+
+    if (extendedMatch) {
+      try {
+        return decodeURIComponent(extendedMatch[1].trim());
+      } catch (error) {
+        Logger.warn(`Could not decode the filename '${extendedMatch[1]}'.`);
+      }
+    }
+
+    if (match) {
+      return (match[1] || match[2]).trim();
+    }
+
+    return url.split('?')[0].split('/').pop();
+  }
+
+  /**
+   * Triggers the download of the given blob via an object URL.
+   *
+   * @param {Blob} blob The blob to download.
+   * @param {string} filename The filename to save the blob as.
+   */
+  downloadBlob(blob, filename) {
+    const objectUrl = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = objectUrl;
+    link.download = filename;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // revoke the url after the download has been started
+    setTimeout(() => window.URL.revokeObjectURL(objectUrl));
+  }
+
   /**
    * Checks if a given layer should be printed.
    *
@@ -600,7 +1563,8 @@ export class BaseMapFishPrintManager extends Observable {
    * @return {boolean} Whether the layer should be printed or not.
    */
   filterPrintableLayer(layer) {
-    return layer !== this.extentLayer && layer.getVisible() && this.layerFilter(layer);
+    return layer !== this.extentLayer && this.getLayerState(layer).visible &&
+      this.isVisibleAtPrintResolution(layer) && this.layerFilter(layer);
   }
 
   /**
@@ -611,28 +1575,100 @@ export class BaseMapFishPrintManager extends Observable {
    * @return {boolean} Whether the legend of the layer should be printed or not.
    */
   filterPrintableLegend(layer) {
-    return layer !== this.extentLayer && layer.getVisible() && this.legendFilter(layer);
+    return layer !== this.extentLayer && this.getLayerState(layer).visible &&
+      this.isVisibleAtPrintResolution(layer) && this.legendFilter(layer);
   }
 
   /**
-   * Serializes/encodes the given layer.
+   * Returns the effective state of the given layer taking its parent layer
+   * groups into account, i.e. the layer is only visible if all of its
+   * parents are visible, its opacity is multiplied with the opacities of its
+   * parents and its resolution limits are narrowed down to the ones of its
+   * parents.
    *
-   * @param {ol.layer.Layer} layer The layer to serialize/encode.
+   * @param {ol.layer.Base} layer The layer to get the state for.
    *
-   * @return {Object} The serialized/encoded layer.
+   * @return {Object} The state containing the effective `visible`,
+   *                  `opacity`, `minResolution` and `maxResolution` values.
    */
-  serializeLayer(layer) {
-    const viewResolution = this.map.getView().getResolution();
+  getLayerState(layer) {
+    const {
+      layerStates = this.getLayerStates()
+    } = this._printState;
+    const layerState = layerStates[getUid(layer)];
+
+    // layers not being part of the map, e.g. layer groups, fall back to
+    // their own state.
+    const {
+      visible,
+      opacity,
+      minResolution,
+      maxResolution
+    } = layerState || layer.getLayerState();
+
+    return {
+      visible,
+      opacity,
+      minResolution,
+      maxResolution
+    };
+  }
+
+  /**
+   * Returns the effective states of all layers of the map (see
+   * `getLayerState`). While building a payload, the states are determined
+   * only once (see `withPrintState`).
+   *
+   * @return {Object} The layer states, keyed by the uid of the layer.
+   */
+  getLayerStates() {
+    return this.map.getLayerGroup().getLayerStatesArray()
+      .reduce((layerStates, layerState) => {
+        layerStates[getUid(layerState.layer)] = layerState;
+        return layerStates;
+      }, {});
+  }
+
+  /**
+   * Returns the first serializer capable of serializing the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to get the serializer for.
+   *
+   * @return {Function|undefined} The serializer class.
+   */
+  getSerializerForLayer(layer) {
     const layerSource = layer.getSource();
 
-    const serializerCand = this.serializers.find(serializer => {
+    return this.serializers.find(serializer => {
       return serializer.sourceCls.some(cls => layerSource instanceof cls);
     });
+  }
+
+  /**
+   * Serializes/encodes the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to serialize/encode.
+   *
+   * @return {Object|Array} The serialized/encoded layer. Serializers
+   *                        splitting a single layer into multiple print
+   *                        layers return an array.
+   */
+  serializeLayer(layer) {
+    const serializerCand = this.getSerializerForLayer(layer);
+    const {
+      rasterizedLayers = {},
+      page = this.getActivePage()
+    } = this._printState;
+    const pageLayers = page ? rasterizedLayers[getUid(page)] : undefined;
 
     if (serializerCand) {
       const serializer = new serializerCand();
-      return serializer.serialize(layer, layer.get(
-        this.CUSTOM_PRINT_SERIALIZER_OPTS_KEY), viewResolution);
+      serializer.layerState = this.getLayerState(layer);
+      serializer.viewProjection = this.map.getView().getProjection();
+      serializer.printProjection = this.getPrintProjection();
+      return this.runSerializer(serializer, layer);
+    } else if (pageLayers && pageLayers[getUid(layer)]) {
+      return pageLayers[getUid(layer)];
     } else {
       Logger.info('No suitable serializer for this layer/source found. ' +
         'Please check the input layer or provide an own serializer capabale ' +
@@ -641,6 +1677,410 @@ export class BaseMapFishPrintManager extends Observable {
     }
   }
 
+  /**
+   * Serializes/encodes the given layer with the given serializer. The styles
+   * of vector layers will be evaluated for the print resolution of the page
+   * currently serialized (see `withPrintState`), the extent of which is
+   * passed as print extent. Outside of a page, the extent of all pages is
+   * used.
+   *
+   * @param {BaseSerializer} serializer The serializer to use.
+   * @param {ol.layer.Layer} layer The layer to serialize/encode.
+   *
+   * @return {Object|Array} The serialized/encoded layer.
+   */
+  runSerializer(serializer, layer) {
+    const serializerOpts = layer.get(
+      this.constructor.CUSTOM_PRINT_SERIALIZER_OPTS_KEY);
+    const {
+      page
+    } = this._printState;
+    const printExtent = page ?
+      page.getGeometry().getExtent() :
+      this.getPagesExtent();
+
+    return serializer.serialize(layer, serializerOpts,
+      this.getPrintResolution(), printExtent);
+  }
+
+  /**
+   * Calls the given function with the given state of a print job being
+   * available to `serializeLayer` and `getLegendClasses`. As the payload is
+   * built synchronously, concurrent print jobs don't affect each other.
+   *
+   * @param {Object} printState The state of the print job.
+   * @param {Object} printState.rasterizedLayers The serialized image layers
+   *                                             of the rasterized layers (see
+   *                                             `rasterizeLayers`).
+   * @param {Object} printState.legendClasses The loaded legend classes (see
+   *                                          `loadLegends`).
+   * @param {ol.Feature} printState.page The page whose map is currently
+   *                                     serialized. Default is to the active
+   *                                     page.
+   * @param {Object} printState.layerStates The effective states of all map
+   *                                        layers (see `getLayerStates`).
+   *                                        Default is to the states of the
+   *                                        enclosing call or the current
+   *                                        states.
+   * @param {Function} fn The function to call.
+   *
+   * @return {*} The return value of the given function.
+   */
+  withPrintState(printState, fn) {
+    const previousPrintState = this._printState;
+    this._printState = {
+      layerStates: previousPrintState.layerStates || this.getLayerStates(),
+      ...printState
+    };
+
+    try {
+      return fn();
+    } finally {
+      this._printState = previousPrintState;
+    }
+  }
+
+  /**
+   * Renders all printable layers no suitable serializer is available for
+   * on the client (if `rasterizeUnsupportedLayers` is set). Every page is
+   * rendered separately to keep the images within the size limits of the
+   * canvas.
+   *
+   * @return {Promise} Resolves with the serialized image layers of the
+   *                   rasterized layers, keyed by the uid of the page and
+   *                   the uid of the original layer. Pass them as
+   *                   `rasterizedLayers` of the print state to
+   *                   `getPrintPayload`.
+   */
+  rasterizeLayers() {
+    const rasterizedLayers = {};
+
+    if (!this.rasterizeUnsupportedLayers) {
+      return Promise.resolve(rasterizedLayers);
+    }
+
+    return Promise.all(this.getPages().map(page => {
+      const pageLayers = {};
+      rasterizedLayers[getUid(page)] = pageLayers;
+
+      // the layers may be visible at the resolutions of some pages only
+      const candidates = this.withPrintState({
+        page
+      }, () => Shared.getMapLayers(this.map)
+        .filter(this.filterPrintableLayer.bind(this))
+        .filter(layer => !this.getSerializerForLayer(layer)));
+
+      return Promise.all(candidates.map(layer => {
+        return this.rasterizeLayer(layer, page)
+          .then(imageLayer => {
+            const serialized = this.serializeLayer(imageLayer);
+            if (serialized) {
+              pageLayers[getUid(layer)] = serialized;
+            }
+          })
+          .catch(error => {
+            Logger.warn(`Could not rasterize the layer: ${error.message}`);
+          });
+      }));
+    })).then(() => rasterizedLayers);
+  }
+
+  /**
+   * Renders the given layer for the extent and the print resolution of the
+   * given page into an image. The layer will be rendered in the print
+   * projection.
+   *
+   * @param {ol.layer.Layer} layer The layer to render.
+   * @param {ol.Feature} page The page to render the layer for. Default is to
+   *                          the active page.
+   *
+   * @return {Promise} Resolves with an `ol.layer.Image` containing the
+   *                   rendered image as `ol.source.ImageStatic`.
+   */
+  rasterizeLayer(layer, page = this.getActivePage()) {
+    const projection = this.getPrintProjection();
+    const extent = transformExtent(page.getGeometry().getExtent(),
+      this.map.getView().getProjection(), projection);
+    const resolution = this.getPrintResolution(projection, page);
+    const width = Math.round(getWidth(extent) / resolution);
+    const height = Math.round(getHeight(extent) / resolution);
+
+    const target = document.createElement('div');
+    target.style.position = 'absolute';
+    target.style.left = '-10000px';
+    target.style.width = `${width}px`;
+    target.style.height = `${height}px`;
+    document.body.appendChild(target);
+
+    const rasterMap = new OlMap({
+      target,
+      pixelRatio: 1,
+      controls: [],
+      interactions: [],
+      layers: [this.cloneLayer(layer)],
+      view: new OlView({
+        projection,
+        center: getCenter(extent),
+        resolution
+      })
+    });
+
+    /**
+     * @ignore
+     */
+    const cleanUp = () => {
+      rasterMap.setTarget(null);
+      document.body.removeChild(target);
+    };
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        cleanUp();
+        reject(new Error('timeout error on rasterizeLayer'));
+      }, this.rasterizeTimeout);
+
+      rasterMap.once('rendercomplete', () => {
+        clearTimeout(timeoutId);
+
+        try {
+          const imageLayer = new OlLayerImage({
+            name: layer.get('name'),
+            opacity: this.getLayerState(layer).opacity,
+            source: new OlSourceImageStatic({
+              url: this.getMapImage(rasterMap, width, height),
+              imageExtent: extent,
+              projection
+            })
+          });
+          resolve(imageLayer);
+        } catch (error) {
+          reject(error);
+        } finally {
+          cleanUp();
+        }
+      });
+    });
+  }
+
+  /**
+   * Returns a copy of the given layer sharing the same source (and style) to
+   * be rendered in a separate map.
+   *
+   * @param {ol.layer.Layer} layer The layer to copy.
+   *
+   * @return {ol.layer.Layer} The copied layer.
+   */
+  cloneLayer(layer) {
+    const {
+      map,
+      ...properties
+    } = layer.getProperties();
+
+    const clone = new layer.constructor({
+      ...properties,
+      // the opacity will be applied to the resulting image layer.
+      opacity: 1
+    });
+
+    if (typeof layer.getStyle === 'function' && layer.getStyle()) {
+      clone.setStyle(layer.getStyle());
+    }
+
+    return clone;
+  }
+
+  /**
+   * Composes all layer canvases of the given (rendered) map into a single
+   * image.
+   *
+   * @param {ol.Map} map The map to get the image of.
+   * @param {number} width The width of the image in pixels.
+   * @param {number} height The height of the image in pixels.
+   *
+   * @return {string} The image as base64 encoded PNG data url.
+   */
+  getMapImage(map, width, height) {
+    const mapCanvas = document.createElement('canvas');
+    mapCanvas.width = width;
+    mapCanvas.height = height;
+    const mapContext = mapCanvas.getContext('2d');
+    const layerCanvases = map.getViewport().querySelectorAll('.ol-layer canvas');
+
+    Array.prototype.forEach.call(layerCanvases, canvas => {
+      if (canvas.width > 0) {
+        const opacity = canvas.parentNode.style.opacity;
+        const match = /^matrix\(([^(]*)\)$/.exec(canvas.style.transform);
+        // fall back to the identity for any other transform, e.g. `none`.
+        const matrix = match ?
+          match[1].split(',').map(Number) :
+          [1, 0, 0, 1, 0, 0];
+        mapContext.globalAlpha = opacity === '' ? 1 : Number(opacity);
+        mapContext.setTransform(...matrix);
+        mapContext.drawImage(canvas, 0, 0);
+      }
+    });
+
+    return mapCanvas.toDataURL('image/png');
+  }
+
+  /**
+   * Returns the first legend provider capable of providing the legend of the
+   * given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to get the legend provider for.
+   *
+   * @return {Function|undefined} The legend provider class.
+   */
+  getLegendProviderForLayer(layer) {
+    return this.legendProviders.find(provider => provider.canProvide(layer));
+  }
+
+  /**
+   * Loads the legends of all printable layers provided by asynchronous
+   * legend providers (e.g. the ArcGISRestLegendProvider). Called before
+   * printing.
+   *
+   * @return {Promise} Resolves with the loaded legend classes, keyed by the
+   *                   uid of the layer. Pass them as `legendClasses` of the
+   *                   print state to `getPrintPayload`.
+   */
+  loadLegends() {
+    const legendClasses = {};
+
+    const layers = this.withPrintState({}, () => Shared.getMapLayers(this.map)
+      .filter(this.filterPrintableLegend.bind(this)));
+
+    return Promise.all(layers.map(layer => {
+      const provider = this.getLegendProviderForLayer(layer);
+
+      if (!provider || !provider.isAsync) {
+        return Promise.resolve();
+      }
+
+      // errors thrown by the provider will be handled as rejection
+      return Promise.resolve()
+        .then(() => new provider().getLegendClasses(layer, this))
+        .then(loadedClasses => {
+          legendClasses[getUid(layer)] = loadedClasses;
+        })
+        .catch(error => {
+          Logger.warn(`Could not load the legend of layer ` +
+            `'${layer.get('name')}': ${error.message}`);
+        });
+    })).then(() => legendClasses);
+  }
+
+  /**
+   * Returns the legend classes of the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to get the legend classes for.
+   *
+   * @return {Array} The legend classes, each containing the `name` and the
+   *                 `icons` of the class (or nested `classes`).
+   */
+  getLegendClasses(layer) {
+    const uid = getUid(layer);
+    const {
+      legendClasses
+    } = this._printState;
+
+    if (legendClasses && legendClasses[uid]) {
+      return legendClasses[uid];
+    }
+
+    const provider = this.getLegendProviderForLayer(layer);
+
+    if (provider && provider.isAsync) {
+      Logger.warn(`The legend of layer '${layer.get('name')}' hasn't ` +
+        `been loaded yet. Please call loadLegends() first.`);
+      return [];
+    }
+
+    if (provider) {
+      try {
+        return new provider().getLegendClasses(layer, this) || [];
+      } catch (error) {
+        Logger.warn(`Could not get the legend of layer ` +
+          `'${layer.get('name')}': ${error.message}`);
+        return [];
+      }
+    }
+
+    if (layer instanceof OlLayerVector &&
+      layer.getSource() instanceof OlSourceVector) {
+      return this.getVectorLegendClasses(layer);
+    }
+
+    return [];
+  }
+
+  /**
+   * Returns the name of the legend of the given layer.
+   *
+   * @param {ol.layer.Base} layer The layer to get the legend name for.
+   *
+   * @return {string} The name of the legend.
+   */
+  getLegendName(layer) {
+    const source = layer instanceof OlLayerGroup ? null : layer.getSource();
+
+    if (source instanceof OlSourceTileWMS || source instanceof OlSourceImageWMS) {
+      return layer.get('name') || source.getParams().LAYERS || '';
+    }
+
+    return layer.get('name') || '';
+  }
+
+  /**
+   * Serializes/encodes the legends of all printable layers of the given map
+   * or layer group. Layer groups are always traversed, the `legendFilter` is
+   * applied to their layers only.
+   *
+   * @param {ol.Map|ol.layer.Group} collection The map or layer group to
+   *                                           serialize the legends of.
+   *                                           Default is to the map.
+   *
+   * @return {Array} The serialized/encoded legends.
+   */
+  serializeLegends(collection = this.map) {
+    return collection.getLayers().getArray()
+      // the legend filter only applies to (leaf) layers, the state of the
+      // groups is part of the effective state of their layers.
+      .filter(layer => layer instanceof OlLayerGroup ||
+        this.filterPrintableLegend(layer))
+      .reduce((acc, layer) => {
+        const serializedLegend = layer instanceof OlLayerGroup ?
+          this.serializeGroupLegend(layer) :
+          this.serializeLegend(layer);
+        if (Array.isArray(serializedLegend)) {
+          acc.push(...serializedLegend);
+        } else if (serializedLegend) {
+          acc.push(serializedLegend);
+        }
+        return acc;
+      }, []);
+  }
+
+  /**
+   * Serializes/encodes the legend payload for the given layer group. The
+   * legends of the child layers will be nested in the legend of the group.
+   *
+   * @param {ol.layer.Group} group The group to serialize/encode the legend
+   *                               for.
+   *
+   * @return {Object|Array} The serialized/encoded legend.
+   */
+  serializeGroupLegend(group) {
+    const classes = this.serializeLegends(group);
+
+    if (classes.length > 0) {
+      return {
+        name: this.getLegendName(group),
+        classes
+      };
+    }
+  }
+
   /**
    * Serializes/encodes the legend payload for the given layer.
    *
@@ -649,13 +2089,189 @@ export class BaseMapFishPrintManager extends Observable {
    * @return {Object} The serialized/encoded legend.
    */
   serializeLegend(layer) {
-    if (layer.getSource() instanceof OlSourceTileWMS ||
-      layer.getSource() instanceof OlSourceImageWMS) {
+    const classes = this.getLegendClasses(layer);
+    const name = this.getLegendName(layer);
+
+    if (classes.length === 0) {
+      return;
+    }
+
+    // a single unnamed class will be printed directly below the layer name
+    if (classes.length === 1 && !classes[0].name && !classes[0].classes) {
       return {
-        name: layer.get('name') || layer.getSource().getParams().LAYERS || '',
-        icons: [Shared.getLegendGraphicUrl(layer)]
+        name,
+        icons: classes[0].icons
       };
     }
+
+    return {
+      name,
+      classes
+    };
+  }
+
+  /**
+   * Returns the legend classes of the given vector layer, one per distinct
+   * value of the legend property (see `vectorLegendProperty`) or per distinct
+   * style if no property is given.
+   *
+   * @param {ol.layer.Vector} layer The vector layer.
+   *
+   * @return {Array} The legend classes, each containing the `name` and the
+   *                 symbol image (as data URL) in `icons`.
+   */
+  getVectorLegendClasses(layer) {
+    const legendProperty = layer.get(
+      this.constructor.CUSTOM_PRINT_LEGEND_PROPERTY_KEY) ||
+      this.vectorLegendProperty;
+    const resolution = this.getPrintResolution();
+    const classKeys = {};
+    const classes = [];
+
+    layer.getSource().getFeatures().forEach(feature => {
+      const geometry = feature.getGeometry();
+      const styleFunction = feature.getStyleFunction() || layer.getStyleFunction();
+
+      if (!geometry || !styleFunction) {
+        return;
+      }
+
+      let styles = styleFunction(feature, resolution);
+      if (!styles) {
+        return;
+      }
+      styles = Array.isArray(styles) ? styles : [styles];
+
+      const geometryType = this.getLegendGeometryType(geometry);
+      const name = legendProperty ? `${feature.get(legendProperty)}` : '';
+      const classKey = legendProperty ?
+        name :
+        `${geometryType}:${this.getLegendStyleKey(styles)}`;
+
+      if (classKeys[classKey]) {
+        return;
+      }
+      classKeys[classKey] = true;
+
+      classes.push({
+        name,
+        icons: [this.renderLegendSymbol(styles, geometryType)]
+      });
+    });
+
+    return classes;
+  }
+
+  /**
+   * Returns the type of the symbol geometry to render the legend of the given
+   * geometry with.
+   *
+   * @param {ol.geom.Geometry} geometry The geometry.
+   *
+   * @return {string} Either `Point`, `LineString` or `Polygon`.
+   */
+  getLegendGeometryType(geometry) {
+    switch (geometry.getType()) {
+      case 'Point':
+      case 'MultiPoint':
+        return 'Point';
+      case 'LineString':
+      case 'MultiLineString':
+      case 'LinearRing':
+        return 'LineString';
+      default:
+        return 'Polygon';
+    }
+  }
+
+  /**
+   * Returns a key identifying the visual appearance of the given styles.
+   *
+   * @param {Array} styles The styles (`ol.style.Style`).
+   *
+   * @return {string} The key.
+   */
+  getLegendStyleKey(styles) {
+    /**
+     * @ignore
+     */
+    const getFillKey = fill => (fill ? fill.getColor() : null);
+
+    /**
+     * @ignore
+     */
+    const getStrokeKey = stroke => (stroke ? [
+      stroke.getColor(),
+      stroke.getWidth(),
+      stroke.getLineDash()
+    ] : null);
+
+    return JSON.stringify(styles.map(style => {
+      const image = style.getImage();
+      let imageKey = null;
+
+      if (image && image.getSrc) {
+        imageKey = [image.getSrc(), image.getScale()];
+      } else if (image) {
+        imageKey = [
+          image.getRadius ? image.getRadius() : null,
+          image.getPoints ? image.getPoints() : null,
+          image.getFill ? getFillKey(image.getFill()) : null,
+          image.getStroke ? getStrokeKey(image.getStroke()) : null
+        ];
+      }
+
+      return [
+        getFillKey(style.getFill()),
+        getStrokeKey(style.getStroke()),
+        imageKey
+      ];
+    }));
+  }
+
+  /**
+   * Renders the given styles on a symbol geometry of the given type.
+   *
+   * @param {Array} styles The styles (`ol.style.Style`) to render.
+   * @param {string} geometryType The type of the symbol geometry, either
+   *                              `Point`, `LineString` or `Polygon`.
+   *
+   * @return {string} The symbol image as data URL.
+   */
+  renderLegendSymbol(styles, geometryType) {
+    const [width, height] = this.legendSymbolSize;
+    const canvas = document.createElement('canvas');
+    const vectorContext = toContext(canvas.getContext('2d'), {
+      size: [width, height],
+      pixelRatio: 1
+    });
+
+    let geometry;
+    switch (geometryType) {
+      case 'Point':
+        geometry = new OlGeomPoint([width / 2, height / 2]);
+        break;
+      case 'LineString':
+        geometry = new OlGeomLineString([
+          [2, height - 2],
+          [width / 2, 2],
+          [width - 2, height - 2]
+        ]);
+        break;
+      default:
+        geometry = fromExtent([2, 2, width - 2, height - 2]);
+    }
+
+    styles.forEach(style => {
+      // labels don't fit into the symbol
+      const symbolStyle = style.clone();
+      symbolStyle.setText(null);
+
+      vectorContext.setStyle(symbolStyle);
+      vectorContext.drawGeometry(geometry);
+    });
+
+    return canvas.toDataURL('image/png');
   }
 
   /**
@@ -1,7 +1,3 @@
-import { getCenter } from 'ol/extent';
-import OlSourceTileWMS from 'ol/source/TileWMS';
-import OlSourceImageWMS from 'ol/source/ImageWMS';
-
 import BaseMapFishPrintManager from './BaseMapFishPrintManager';
 import MapFishPrintV2WMSSerializer from '../serializer/MapFishPrintV2WMSSerializer';
 import MapFishPrintV2VectorSerializer from '../serializer/MapFishPrintV2VectorSerializer';
@@ -22,6 +18,26 @@ export class MapFishPrintV2Manager extends BaseMapFishPrintManager {
    */
   static INFO_JSON_ENDPOINT = 'info.json';
 
+  /**
+   * The layer types supported by the print service.
+   *
+   * @type {Array}
+   */
+  static LAYER_TYPES = [
+    'Google',
+    'Image',
+    'KaMap',
+    'KaMapCache',
+    'MapServer',
+    'Osm',
+    'TiledWMS',
+    'TMS',
+    'Vector',
+    'WMS',
+    'WMTS',
+    'Xyz'
+  ];
+
   /**
    * The layer serializers to use. May be overridden or extented to obtain
    * custom functionality.
@@ -32,9 +48,21 @@ export class MapFishPrintV2Manager extends BaseMapFishPrintManager {
 
   /**
    * The constructor
+   *
+   * All given options are applied to the manager, including the ones
+   * defaulting to the properties of this class (e.g. `serializers`).
    */
   constructor() {
     super(arguments);
+
+    // the class properties of this class are initialized after the parent
+    // constructor has been called, so the given options (except for the
+    // already normalized url) have to be applied again.
+    const {
+      url,
+      ...opts
+    } = Object.assign({}, ...arguments);
+    Object.assign(this, opts);
   }
 
   /**
@@ -91,7 +119,7 @@ export class MapFishPrintV2Manager extends BaseMapFishPrintManager {
    * @return {Promise}
    */
   loadCapabilities() {
-    return fetch(this.url + this.constructor.INFO_JSON_ENDPOINT, {
+    return this.request(this.url + this.constructor.INFO_JSON_ENDPOINT, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
@@ -115,98 +143,212 @@ export class MapFishPrintV2Manager extends BaseMapFishPrintManager {
    *
    * @param {boolean} forceDownload Whether to force a direct download of the
    *                                print result or to return the download url.
-   * @return {Promise|undefined} If forceDownload is set to false, the download
-   *                             url of the print result will be returned in a
-   *                             Promise.
+   * @param {Object} opts Additional options.
+   * @param {boolean} opts.asBlob Whether to fetch the print result (using
+   *                              the configured `headers`) and to resolve
+   *                              with an object containing its `blob`,
+   *                              `filename` and `mimeType` instead of the
+   *                              download url. A forced download will be
+   *                              triggered via an object URL.
+   * @param {string} opts.filename The filename of the fetched print result.
+   *                               Default is to the filename provided by the
+   *                               print service.
+   * @param {boolean} opts.validate Whether to validate the payload (see
+   *                                `validatePayload`) before sending it. If
+   *                                invalid, the returned promise rejects with
+   *                                an error containing the validation
+   *                                `errors`. Default is to `false`.
+   * @return {Promise|undefined} If forceDownload is set to false, the
+   *                             promise resolves with the download url (or
+   *                             the fetched print result).
    */
-  print(forceDownload) {
+  print(forceDownload, opts = {}) {
     if (!(this.isInitiated())) {
       Log.warn('The manager hasn\'t been initiated yet. Please call init() first.');
       return;
     }
 
-    const payload = this.getPrintPayload();
+    const {
+      asBlob = false,
+      filename,
+      validate = false
+    } = opts;
+
+    if (this.rasterizeUnsupportedLayers) {
+      Log.warn('The rasterization of unsupported layers isn\'t supported ' +
+        'by MapFish Print v2, these layers will not be printed.');
+    }
+
+    /**
+     * @ignore
+     */
+    const handlePrintResult = url => {
+      if (asBlob) {
+        return this.fetchPrintResult(url, {
+          filename
+        }).then(result => {
+          if (forceDownload) {
+            this.downloadBlob(result.blob, result.filename);
+          } else {
+            return result;
+          }
+        });
+      }
 
-    if (this.method === 'GET') {
-      const url = `${this.capabilities.printURL}?spec=${encodeURIComponent(JSON.stringify(payload))}`;
       if (forceDownload) {
         this.download(url);
       } else {
         return url;
       }
-    } else {
-      return fetch(this.capabilities.createURL, {
-        method: this.method,
-        headers: {
-          'Content-Type': 'application/json',
-          ...this.headers
-        },
-        credentials: this.credentialsMode,
-        body: JSON.stringify(payload)
-      })
-        .then(response => this.validateResponse(response))
-        .then(response => response.json())
-        .then(json => {
-          const url = json.getURL;
-          if (forceDownload) {
-            this.download(url);
-          } else {
-            return Promise.resolve(url);
-          }
+    };
+
+    /**
+     * @ignore
+     */
+    const sendPayload = payload => {
+      if (this.method === 'GET') {
+        const url = `${this.capabilities.printURL}?spec=${encodeURIComponent(JSON.stringify(payload))}`;
+        return handlePrintResult(url);
+      } else {
+        return this.request(this.capabilities.createURL, {
+          method: this.method,
+          headers: {
+            'Content-Type': 'application/json',
+            ...this.headers
+          },
+          credentials: this.credentialsMode,
+          body: JSON.stringify(payload)
         })
-        .catch(error => Promise.reject(`Error while creating the print document: ${error.message}`));
+          .then(response => this.validateResponse(response))
+          .then(response => response.json())
+          .then(json => handlePrintResult(json.getURL))
+          .catch(error => Promise.reject(`Error while creating the print document: ${error.message}`));
+      }
+    };
+
+    return this.loadLegends()
+      .then(legendClasses => this.getPrintPayload({
+        legendClasses
+      }))
+      .then(payload => (validate ? this.assertValidPayload(payload) : payload))
+      .then(sendPayload);
+  }
+
+  /**
+   * Validates the given print payload against the loaded capabilities, i.e.
+   * checks the layout, the output format, the dpi, the scales of the pages
+   * and the types of the layers. As the print service accepts arbitrary
+   * custom parameters, no attributes will be checked.
+   *
+   * @param {Object} payload The payload to validate. Default is to the
+   *                         current print payload.
+   *
+   * @return {Array} The validation errors, each containing the `code` (see
+   *                 `VALIDATION_ERROR_CODES`), the `path` of the invalid
+   *                 property in the payload and a `message`. Empty if the
+   *                 payload is valid.
+   */
+  validatePayload(payload = this.getPrintPayload()) {
+    const codes = this.constructor.VALIDATION_ERROR_CODES;
+    const errors = [];
+
+    if (!this.getLayouts().find(layout => layout.name === payload.layout)) {
+      errors.push(this.createValidationError(codes.INVALID_LAYOUT, 'layout',
+        `The layout '${payload.layout}' is not supported.`));
+    }
+
+    if (!this.getOutputFormats().find(format => format.name === payload.outputFormat)) {
+      errors.push(this.createValidationError(codes.INVALID_OUTPUT_FORMAT,
+        'outputFormat',
+        `The output format '${payload.outputFormat}' is not supported.`));
     }
+
+    const dpiValues = this.getDpis().map(dpi => parseFloat(dpi.value));
+    if (!dpiValues.includes(parseFloat(payload.dpi))) {
+      errors.push(this.createValidationError(codes.INVALID_DPI, 'dpi',
+        `The dpi '${payload.dpi}' is not supported (maximum is ` +
+        `${Math.max(...dpiValues)}).`));
+    }
+
+    const scaleValues = this.getScales().map(scale => {
+      return parseFloat(this.getScaleValue(scale));
+    });
+    (payload.pages || []).forEach((page, idx) => {
+      if (!scaleValues.includes(parseFloat(page.scale))) {
+        errors.push(this.createValidationError(codes.INVALID_SCALE,
+          `pages.${idx}.scale`,
+          `The scale '${page.scale}' is not supported.`));
+      }
+    });
+
+    (payload.layers || []).forEach((layer, idx) => {
+      if (!this.constructor.LAYER_TYPES.includes(layer.type)) {
+        errors.push(this.createValidationError(codes.INVALID_LAYER_TYPE,
+          `layers.${idx}.type`,
+          `The layer type '${layer.type}' is not supported.`));
+      }
+    });
+
+    return errors;
   }
 
   /**
    * Collects the payload that is required for the print call to the print
    * servlet.
    *
+   * The print service version 2 shares the layers between all pages, hence
+   * they are serialized for the print resolution of the active page.
+   *
+   * @param {Object} printState The state of the print job, i.e. the loaded
+   *                            `legendClasses` (see `withPrintState`).
+   *
    * @return {Object} The print payload.
    */
-  getPrintPayload() {
-    const mapView = this.map.getView();
-    const mapProjection = mapView.getProjection();
-    const mapLayers = Shared.getMapLayers(this.map);
-    const extentFeatureGeometry = this._extentFeature.getGeometry();
-
-    const serializedLayers = mapLayers
-      .filter(this.filterPrintableLayer.bind(this))
-      .reduce((acc, layer) => {
-        const serializedLayer = this.serializeLayer(layer);
-        if (serializedLayer) {
-          acc.push(serializedLayer);
-        }
-        return acc;
-      }, []);
-
-    const serializedLegends = mapLayers
-      .filter(this.filterPrintableLegend.bind(this))
-      .reduce((acc, layer) => {
-        const serializedLegend = this.serializeLegend(layer);
-        if (serializedLegend) {
-          acc.push(serializedLegend);
-        }
-        return acc;
-      }, []);
-
-    const payload = {
-      units: mapProjection.getUnits(),
-      srs: mapProjection.getCode(),
-      layout: this.getLayout().name,
-      outputFormat: this.getOutputFormat().name,
-      dpi: this.getDpi().value,
-      layers: serializedLayers,
-      pages: [{
-        center: getCenter(extentFeatureGeometry.getExtent()),
-        scale: this.getScale().value,
-        rotation: this.calculateRotation() || 0
-      }],
-      legends: serializedLegends,
-      ...this.customParams
-    };
+  getPrintPayload(printState = {}) {
+    return this.withPrintState(printState, () => {
+      const printProjection = this.getPrintProjection();
+      const mapLayers = Shared.getMapLayers(this.map);
+
+      const serializedLayers = mapLayers
+        .filter(this.filterPrintableLayer.bind(this))
+        .reduce((acc, layer) => {
+          const serializedLayer = this.serializeLayer(layer);
+          if (Array.isArray(serializedLayer)) {
+            acc.push(...serializedLayer);
+          } else if (serializedLayer) {
+            acc.push(serializedLayer);
+          }
+          return acc;
+        }, []);
+
+      const payload = {
+        units: printProjection.getUnits(),
+        srs: printProjection.getCode(),
+        layout: this.getLayout().name,
+        outputFormat: this.getOutputFormat().name,
+        dpi: this.getDpi().value,
+        layers: serializedLayers,
+        pages: this.getPages().map(page => this.getPrintPageSpec(page)),
+        legends: this.serializeLegends(),
+        ...this.customParams
+      };
+
+      return payload;
+    });
+  }
 
-    return payload;
+  /**
+   * Serializes/encodes the given layer with the given serializer. Overrides
+   * the method from base class as the serializers of the print service
+   * version 2 only accept the resolution to evaluate the styles for.
+   *
+   * @param {BaseSerializer} serializer The serializer to use.
+   * @param {ol.layer.Layer} layer The layer to serialize/encode.
+   *
+   * @return {Object} The serialized/encoded layer.
+   */
+  runSerializer(serializer, layer) {
+    return serializer.serialize(layer, this.getPrintResolution());
   }
 
   /**
@@ -217,18 +359,38 @@ export class MapFishPrintV2Manager extends BaseMapFishPrintManager {
    * @return {Object} The serialized/encoded legend.
    */
   serializeLegend(layer) {
-    if (layer.getSource() instanceof OlSourceTileWMS ||
-      layer.getSource() instanceof OlSourceImageWMS) {
+    const classes = this.getLegendClasses(layer);
+
+    if (classes.length > 0) {
       return {
-        name: layer.get('name') || layer.getSource().getParams().LAYERS || '',
-        classes: [{
-          name: '',
-          icons: [Shared.getLegendGraphicUrl(layer)]
-        }]
+        name: this.getLegendName(layer),
+        // nested classes are not supported by the print service
+        classes: classes.reduce((acc, cls) => {
+          if (cls.classes) {
+            acc.push(...cls.classes);
+          } else {
+            acc.push(cls);
+          }
+          return acc;
+        }, [])
       };
     }
   }
 
+  /**
+   * Serializes/encodes the legend payload for the given layer group. As
+   * nested legends are not supported by the print service, the legends of
+   * the child layers will be returned.
+   *
+   * @param {ol.layer.Group} group The group to serialize/encode the legend
+   *                               for.
+   *
+   * @return {Array} The serialized/encoded legends of the child layers.
+   */
+  serializeGroupLegend(group) {
+    return this.serializeLegends(group);
+  }
+
   /**
    * Called on translate interaction's `scaling` event.
    */
@@ -243,9 +405,12 @@ export class MapFishPrintV2Manager extends BaseMapFishPrintManager {
    *
    * @param {number} scale The scale to calculate the extent for. If not given,
    *                       the current scale of the provider will be used.
+   * @param {ol.Coordinate} center The center of the extent. If not given, the
+   *                               center of the active page or the map view
+   *                               will be used.
    * @return {ol.Extent} The extent.
    */
-  calculatePrintExtent(scale) {
+  calculatePrintExtent(scale, center) {
     const printMapSize = this.getLayout().map;
     const printScale = scale || this.getScale().value;
     const {
@@ -253,21 +418,8 @@ export class MapFishPrintV2Manager extends BaseMapFishPrintManager {
       height
     } = this.getPrintExtentSize(printMapSize, printScale);
 
-    let center;
-    if (this._extentFeature) {
-      center = getCenter(this._extentFeature.getGeometry().getExtent());
-    } else {
-      center = this.map.getView().getCenter();
-    }
-
-    const printExtent = [
-      center[0] - (width / 2),
-      center[1] - (height / 2),
-      center[0] + (width / 2),
-      center[1] + (height / 2)
-    ];
-
-    return printExtent;
+    return this.getPrintExtentAroundCenter(center || this.getPrintCenter(),
+      width, height);
   }
 
   /**
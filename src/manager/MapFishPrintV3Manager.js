@@ -1,22 +1,27 @@
 import get from 'lodash/get';
 import URL from 'url-parse';
 import QueryString from 'query-string';
-import {
-  getCenter
-} from 'ol/extent';
 
 import BaseMapFishPrintManager from './BaseMapFishPrintManager';
 import MapFishPrintV3GeoJsonSerializer from '../serializer/MapFishPrintV3GeoJsonSerializer';
+import MapFishPrintV3ImageSerializer from '../serializer/MapFishPrintV3ImageSerializer';
 import MapFishPrintV3OSMSerializer from '../serializer/MapFishPrintV3OSMSerializer';
 import MapFishPrintV3TiledWMSSerializer from '../serializer/MapFishPrintV3TiledWMSSerializer';
+import MapFishPrintV3VectorTileSerializer from '../serializer/MapFishPrintV3VectorTileSerializer';
 import MapFishPrintV3WMSSerializer from '../serializer/MapFishPrintV3WMSSerializer';
+import MapFishPrintV3WMTSSerializer from '../serializer/MapFishPrintV3WMTSSerializer';
+import MapFishPrintV3XYZSerializer from '../serializer/MapFishPrintV3XYZSerializer';
 import Shared from '../util/Shared';
 import Logger from '../util/Logger';
+import PollingStrategy from '../util/PollingStrategy';
+import PrintJob from '../job/PrintJob';
 import scales from '../config/scales';
 
 /**
  * The MapFishPrintV3Manager.
  *
+ * @fires {change:app | change:attribute | change:printjob | print:start |
+ *         print:progress | print:finished | print:error | print:cancelled}
  * @class
  */
 export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
@@ -35,17 +40,68 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
    */
   static CAPABILITIES_JSON_ENDPOINT = 'capabilities.json';
 
+  /**
+   * The type of the layout attribute holding the pages of a multi page
+   * (datasource based) report.
+   *
+   * @type {string}
+   */
+  static DATASOURCE_ATTRIBUTE_TYPE = 'DataSourceAttributeValue';
+
+  /**
+   * The default name of the layout attribute holding the pages of a multi
+   * page report. Will be used if the current layout doesn't provide an
+   * attribute of type `DataSourceAttributeValue`.
+   *
+   * @type {string}
+   */
+  static DATASOURCE_ATTRIBUTE_NAME = 'datasource';
+
+  /**
+   * The layer types supported by the print service.
+   *
+   * @type {Array}
+   */
+  static LAYER_TYPES = [
+    'geojson',
+    'gml',
+    'grid',
+    'image',
+    'osm',
+    'tiledwms',
+    'wms',
+    'wmts'
+  ];
+
+  /**
+   * The types of the layout attributes populated by the manager itself, i.e.
+   * the ones that can't be edited via the attribute model.
+   *
+   * @type {Array}
+   */
+  static MANAGED_ATTRIBUTE_TYPES = [
+    'MapAttributeValues',
+    'LegendAttributeValue',
+    'DataSourceAttributeValue'
+  ];
+
   /**
    * The layer serializers to use. May be overridden or extented to obtain
-   * custom functionality.
+   * custom functionality. The first serializer capable of serializing the
+   * source of a layer will be used, so more specific serializers have to be
+   * listed before generic ones.
    *
    * @type {Array}
    */
   serializers = [
     MapFishPrintV3GeoJsonSerializer,
+    MapFishPrintV3ImageSerializer,
     MapFishPrintV3OSMSerializer,
     MapFishPrintV3TiledWMSSerializer,
+    MapFishPrintV3VectorTileSerializer,
     MapFishPrintV3WMSSerializer,
+    MapFishPrintV3WMTSSerializer,
+    MapFishPrintV3XYZSerializer
   ];
 
   /**
@@ -80,6 +136,50 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
    */
   customMapParams = {};
 
+  /**
+   * The polling strategy determining the interval between two status
+   * requests of a print job, see `PollingStrategy`. Default is to poll every
+   * second.
+   *
+   * @type {Function}
+   */
+  pollingStrategy = PollingStrategy.fixed(1000);
+
+  /**
+   * The overall time in ms after which polling the status of a print job
+   * will be canceled. Default is to 0 (poll until the job is done).
+   *
+   * @type {number}
+   */
+  pollingDeadline = 0;
+
+  /**
+   * The number of consecutive failed status requests (network errors,
+   * request timeouts or server errors) to retry while polling the status of
+   * a print job.
+   *
+   * @type {number}
+   */
+  pollingRetries = 3;
+
+  /**
+   * The maximum number of print jobs to process on the print service at the
+   * same time. Further jobs will be queued. Use 0 for no limit.
+   *
+   * @type {number}
+   */
+  maxConcurrentPrintJobs = 2;
+
+  /**
+   * The maximum number of done (finished, failed or cancelled) print jobs to
+   * keep in the list of print jobs. The oldest done jobs exceeding this
+   * number will be removed as soon as a new job is created. Use 0 to keep
+   * all jobs.
+   *
+   * @type {number}
+   */
+  maxDonePrintJobs = 10;
+
   /**
    * The supported print applications by the print service.
    *
@@ -97,19 +197,49 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
   _printApp = {};
 
   /**
-   * ID of currently started print job. Will be used while polling will be
-   * performed.
+   * The maximum dpi supported by the current layout.
    *
-   * @type {string}
+   * @type {number}
    * @private
    */
-  _printJobReference = null;
+  _maxDpi = null;
+
+  /**
+   * The values of the editable layout attributes, keyed by the attribute
+   * name.
+   *
+   * @type {Object}
+   * @private
+   */
+  _attributeValues = {};
+
+  /**
+   * All print jobs created by the manager (queued, active and done ones).
+   * The number of done jobs is limited by `maxDonePrintJobs`.
+   *
+   * @type {Array}
+   * @private
+   */
+  _printJobs = [];
 
   /**
    * The constructor
+   *
+   * All given options are applied to the manager, including the ones
+   * defaulting to the properties of this class (e.g. `serializers`, `customMapParams` or
+   * `maxConcurrentPrintJobs`).
    */
   constructor() {
     super(arguments);
+
+    // the class properties of this class are initialized after the parent
+    // constructor has been called, so the given options (except for the
+    // already normalized url) have to be applied again.
+    const {
+      url,
+      ...opts
+    } = Object.assign({}, ...arguments);
+    Object.assign(this, opts);
   }
 
   /**
@@ -147,16 +277,6 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
     this.setLayout(this.getLayouts()[0].name);
     this.setOutputFormat(this.getOutputFormats()[0]);
 
-    // mapfish3 doesn't provide scales via capabilities, so we get them from
-    // initialized manager if set or set some most common used values here
-    // manually as fallback
-    if (this.customPrintScales.length > 0) {
-      this._scales = this.customPrintScales;
-    } else {
-      this._scales = scales;
-    }
-    this.setScale(this.getClosestScaleToFitMap());
-
     this.initPrintExtentLayer();
     this.initPrintExtentFeature();
     this.initTransformInteraction();
@@ -204,7 +324,7 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
    * @return {Promise} Promise containing available print apps.
    */
   loadPrintApps() {
-    return fetch(`${this.url}${this.constructor.APPS_JSON_ENDPOINT}`, {
+    return this.request(`${this.url}${this.constructor.APPS_JSON_ENDPOINT}`, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
@@ -228,7 +348,7 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
   loadAppCapabilities(printApp) {
     const capEndpoint = this.constructor.CAPABILITIES_JSON_ENDPOINT;
     const url = `${this.url}${printApp}/${capEndpoint}`;
-    return fetch(url, {
+    return this.request(url, {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
@@ -255,32 +375,177 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
   }
 
   /**
+   * Creates a print job for the current print settings and adds it to the
+   * print job queue. As soon as less than `maxConcurrentPrintJobs` jobs are
+   * processed, the job will be created on the print service and its status
+   * will be polled until the print result is available.
    *
+   * Returns the handle of the job (see `PrintJob`) containing the reference
+   * of the job on the print service (`ref`, set as soon as the job has been
+   * created), its `status`, the `promise` of the job and a `cancel()` method
+   * which stops all pending requests and cancels the job on the print
+   * service. The handle is thenable, so it can be used like the `promise`
+   * itself.
    *
-   * @param {boolean} forceDownload
-   * @return {Promise}
+   * @param {boolean} forceDownload Whether to force a direct download of the
+   *                                print result or to return the download url.
+   * @param {Object} opts Additional options.
+   * @param {AbortSignal} opts.signal An optional signal to cancel the print
+   *                                  job with.
+   * @param {boolean} opts.asBlob Whether to fetch the print result (using
+   *                              the configured `headers`) and to resolve
+   *                              with an object containing its `blob`,
+   *                              `filename` and `mimeType` instead of the
+   *                              download url. A forced download will be
+   *                              triggered via an object URL.
+   * @param {string} opts.filename The filename of the fetched print result.
+   *                               Default is to the filename provided by the
+   *                               print service.
+   * @param {boolean} opts.validate Whether to validate the payload (see
+   *                                `validatePayload`) before sending it. If
+   *                                invalid, the job fails with an error
+   *                                containing the validation `errors`.
+   *                                Default is to `false`.
+   * @return {PrintJob|undefined} The print job handle.
    */
-  print(forceDownload) {
+  print(forceDownload, opts = {}) {
     if (!(this.isInitiated())) {
       Logger.warn('The manager hasn\'t been initiated yet. Please call init() first.');
       return;
     }
 
-    const payload = this.getPrintPayload();
+    const {
+      signal,
+      asBlob = false,
+      filename = null,
+      validate = false
+    } = opts;
 
-    const createPrintJobUrl = `${this.url}${this.getPrintApp()}/report.${this.getOutputFormat()}`;
+    const printJob = new PrintJob({
+      printApp: this.getPrintApp(),
+      layout: this.getLayout().name,
+      outputFormat: this.getOutputFormat(),
+      _manager: this,
+      _forceDownload: forceDownload,
+      _asBlob: asBlob,
+      _filename: filename,
+      _payload: this.rasterizeLayers()
+        .then(rasterizedLayers => this.loadLegends()
+          .then(legendClasses => this.getPrintPayload({
+            rasterizedLayers,
+            legendClasses
+          })))
+        .then(payload => (validate ? this.assertValidPayload(payload) : payload))
+    });
 
-    return fetch(createPrintJobUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...this.headers
-      },
-      credentials: this.credentialsMode,
-      body: JSON.stringify(payload)
-    })
+    // errors will be handled while executing the job
+    printJob._payload.catch(() => {});
+
+    this._printJobs = [...this._printJobs, printJob];
+    this.prunePrintJobs();
+
+    this.dispatch('change:printjob', printJob);
+
+    if (signal) {
+      /** @ignore */
+      const cancel = () => printJob.cancel()
+        .catch(() => Logger.error('Could not cancel the print job.'));
+
+      /** @ignore */
+      const removeListener = () => signal.removeEventListener('abort', cancel);
+
+      if (signal.aborted) {
+        cancel();
+      } else {
+        signal.addEventListener('abort', cancel, {once: true});
+        // the signal may outlive the job, so don't keep the job referenced.
+        printJob.promise.then(removeListener, removeListener);
+      }
+    }
+
+    this.processPrintJobQueue();
+
+    return printJob;
+  }
+
+  /**
+   * Starts the next queued print jobs as long as less than
+   * `maxConcurrentPrintJobs` jobs are processed.
+   */
+  processPrintJobQueue() {
+    const limit = this.maxConcurrentPrintJobs || Number.POSITIVE_INFINITY;
+    const activeCount = this.getPrintJobs().filter(printJob => {
+      return [
+        PrintJob.STATUS_WAITING,
+        PrintJob.STATUS_RUNNING
+      ].includes(printJob.status);
+    }).length;
+
+    this.getPrintJobs(PrintJob.STATUS_QUEUED)
+      .slice(0, Math.max(0, limit - activeCount))
+      .forEach(printJob => {
+        this.executePrintJob(printJob)
+          .then(printJob._resolve, printJob._reject)
+          .then(() => this.processPrintJobQueue());
+      });
+  }
+
+  /**
+   * Creates the given print job on the print service and polls its status
+   * until the print result is available.
+   *
+   * @param {PrintJob} printJob The job to execute.
+   * @return {Promise} Resolves with the download url of the print result (if
+   *                   no download has been forced). Rejects if the job
+   *                   failed or has been cancelled.
+   */
+  executePrintJob(printJob) {
+    const abortController = new AbortController();
+    const createPrintJobUrl = `${this.url}${printJob.printApp}/report.${printJob.outputFormat}`;
+
+    printJob._abortController = abortController;
+
+    this.updatePrintJob(printJob, {
+      status: PrintJob.STATUS_WAITING
+    });
+
+    return printJob._payload
+      .then(payload => this.request(createPrintJobUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.headers
+        },
+        credentials: this.credentialsMode,
+        body: JSON.stringify(payload),
+        signal: abortController.signal
+      }))
       .then(response => this.validateResponse(response))
       .then(response => response.json())
+      .catch(error => {
+        if (abortController.signal.aborted) {
+          this.updatePrintJob(printJob, {
+            status: PrintJob.STATUS_CANCELLED
+          });
+          this.dispatch('print:cancelled', {
+            ref: null,
+            status: PrintJob.STATUS_CANCELLED
+          });
+          return Promise.reject('The print job was cancelled.');
+        }
+        this.updatePrintJob(printJob, {
+          status: PrintJob.STATUS_ERROR,
+          error: error.message,
+          validationErrors: error.errors
+        });
+        this.dispatch('print:error', {
+          ref: null,
+          status: PrintJob.STATUS_ERROR,
+          error: error.message,
+          validationErrors: error.errors
+        });
+        return Promise.reject(`Error while creating the print job: ${error.message}`);
+      })
       .then(json => {
         const {
           ref,
@@ -288,72 +553,366 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
         } = json;
 
         const basePath = this.getBasePath();
-        this._printJobReference = ref;
 
-        return this.pollUntilDone.call(this, basePath + statusURL, 1000, this.timeout)
-          .then(downloadUrl => {
-            this._printJobReference = null;
+        this.updatePrintJob(printJob, {
+          ref
+        });
 
-            if (forceDownload) {
-              this.download(basePath + downloadUrl);
-            } else {
-              return Promise.resolve(basePath + downloadUrl);
-            }
+        this.dispatch('print:start', {
+          ref
+        });
+
+        return this.pollUntilDone.call(this, basePath + statusURL,
+          this.pollingStrategy, this.pollingDeadline, abortController.signal,
+          printJob)
+          .then(downloadUrl => {
+            const downloadURL = basePath + downloadUrl;
+            const printResult = printJob._asBlob ?
+              this.fetchPrintResult(downloadURL, {
+                filename: printJob._filename,
+                signal: abortController.signal
+              }) :
+              Promise.resolve(downloadURL);
+
+            return printResult.then(result => {
+              this.updatePrintJob(printJob, {
+                status: PrintJob.STATUS_FINISHED,
+                downloadURL
+              });
+
+              if (printJob._forceDownload && printJob._asBlob) {
+                this.downloadBlob(result.blob, result.filename);
+              } else if (printJob._forceDownload) {
+                this.download(downloadURL);
+              } else {
+                return Promise.resolve(result);
+              }
+            });
           })
           .catch(error => {
-            this._printJobReference = null;
+            const cancelled = abortController.signal.aborted;
+
+            // the status of the job has been updated while polling already,
+            // unless fetching the print result failed.
+            if (!printJob.isDone()) {
+              this.updatePrintJob(printJob, {
+                status: cancelled ?
+                  PrintJob.STATUS_CANCELLED :
+                  PrintJob.STATUS_ERROR,
+                error: cancelled ? undefined : error.message
+              });
+            }
+
+            if (cancelled) {
+              return Promise.reject('The print job was cancelled.');
+            }
+
             Logger.error(error);
+            return Promise.reject(`Error while executing the print job: ${error.message}`);
           });
-      })
-      .catch(error => Promise.reject(`Error while creating the print job: ${error.message}`));
+      });
   }
 
   /**
+   * Cancels the given print job. Queued jobs will be removed from the queue,
+   * active jobs will be cancelled on the print service.
    *
+   * @param {PrintJob} printJob The job to cancel.
+   * @return {Promise} Resolves as soon as the job has been cancelled.
+   */
+  cancelPrintJob(printJob) {
+    if (printJob.isDone()) {
+      return Promise.resolve();
+    }
+
+    if (printJob.status === PrintJob.STATUS_QUEUED) {
+      this.updatePrintJob(printJob, {
+        status: PrintJob.STATUS_CANCELLED
+      });
+      this.dispatch('print:cancelled', {
+        ref: null,
+        status: PrintJob.STATUS_CANCELLED
+      });
+      printJob._reject('The print job was cancelled.');
+      return Promise.resolve();
+    }
+
+    printJob._abortController.abort();
+
+    return printJob.ref ? this.cancelPrint(printJob.ref) : Promise.resolve();
+  }
+
+  /**
+   * Adds the given (done) print job to the queue again.
    *
-   * @param {*} url
-   * @param {*} interval
-   * @param {*} timeout
-   * @return {Promise}
+   * @param {PrintJob} printJob The job to retry.
+   * @return {PrintJob} The job.
    */
-  pollUntilDone(url, interval, timeout) {
-    let start = Date.now();
+  retryPrintJob(printJob) {
+    if (!printJob.isDone()) {
+      Logger.warn('Only finished, failed or cancelled print jobs can be retried.');
+      return printJob;
+    }
+
+    Object.assign(printJob, {
+      ref: null,
+      elapsedTime: null,
+      waitingTime: null,
+      downloadURL: null,
+      error: null,
+      validationErrors: null
+    });
+    printJob.resetPromise();
+
+    if (!this._printJobs.includes(printJob)) {
+      this._printJobs = [...this._printJobs, printJob];
+    }
+
+    this.updatePrintJob(printJob, {
+      status: PrintJob.STATUS_QUEUED
+    });
+
+    this.processPrintJobQueue();
+
+    return printJob;
+  }
+
+  /**
+   * Updates the given print job with the given (defined) properties and
+   * dispatches the `change:printjob` event.
+   *
+   * @param {PrintJob} printJob The job to update.
+   * @param {Object} props The properties to set.
+   */
+  updatePrintJob(printJob, props) {
+    Object.keys(props)
+      .filter(key => props[key] !== undefined)
+      .forEach(key => {
+        printJob[key] = props[key];
+      });
+
+    this.dispatch('change:printjob', printJob);
+  }
+
+  /**
+   * Polls the status of the current print job until it's done. Dispatches a
+   * `print:progress` event for every status response of a pending job and a
+   * `print:finished`, `print:error` or `print:cancelled` event as soon as the
+   * job is done.
+   *
+   * Failed status requests due to network errors, request timeouts (see
+   * `timeout`) or server errors (5xx) will be retried up to `pollingRetries`
+   * times in a row.
+   *
+   * @param {string} url The status url of the print job.
+   * @param {number|Function} interval The interval in ms to poll the status
+   *                                   in or a polling strategy, see
+   *                                   `PollingStrategy`.
+   * @param {number} timeout The overall timeout (deadline) in ms after which
+   *                         the polling will be canceled. Use 0 to poll
+   *                         without timeout.
+   * @param {AbortSignal} signal An optional signal to stop the polling with.
+   * @param {PrintJob} printJob The job to update with the polled status. The
+   *                            `finished` status has to be set by the caller.
+   * @return {Promise} Resolves with the download url of the print result.
+   */
+  pollUntilDone(url, interval, timeout, signal, printJob) {
+    const ref = printJob ? printJob.ref : null;
+    const start = Date.now();
+    const getInterval = typeof interval === 'function' ? interval : () => interval;
+    let attempt = 0;
+    let failures = 0;
+    let done = false;
+
+    /**
+     * @ignore
+     */
+    function next() {
+      if (timeout !== 0 && Date.now() - start > timeout) {
+        return Promise.reject(new Error('timeout error on pollUntilDone'));
+      }
+
+      return new Promise(resolve => {
+        setTimeout(resolve, getInterval(attempt++));
+      }).then(run.bind(this));
+    }
 
     /**
      * @ignore
      */
     function run() {
-      return fetch(url, {
+      if (signal && signal.aborted) {
+        return Promise.reject(new Error('The job was cancelled.'));
+      }
+
+      let responseStatus;
+
+      return this.fetchWithTimeout(url, {
         method: 'GET',
         headers: {
           ...this.headers
         },
         credentials: this.credentialsMode
-      })
-        .then(response => this.validateResponse(response))
+      }, this.timeout, signal)
+        .then(response => {
+          responseStatus = response.status;
+          return this.validateResponse(response);
+        })
         .then(response => response.json())
         .then(json => {
+          failures = 0;
+
           const status = json.status;
+          const jobStatus = this.getPrintJobStatus(json, ref);
 
-          if (status === 'finished') {
+          if (printJob && status !== PrintJob.STATUS_FINISHED) {
+            this.updatePrintJob(printJob, jobStatus);
+          }
+
+          if (status === PrintJob.STATUS_FINISHED) {
+            done = true;
+            this.dispatch('print:finished', jobStatus);
             return Promise.resolve(json.downloadURL);
-          } else if (status === 'error') {
+          } else if (status === PrintJob.STATUS_ERROR) {
+            done = true;
+            this.dispatch('print:error', jobStatus);
             return Promise.reject(new Error(`There was an error executing the job: ${json.error}`));
-          } else if (status === 'cancelled') {
+          } else if (status === PrintJob.STATUS_CANCELLED) {
+            done = true;
+            this.dispatch('print:cancelled', jobStatus);
             return Promise.reject(new Error('The job was cancelled.'));
-          } else if (['waiting', 'running'].includes(status)) {
-            if (timeout !== 0 && Date.now() - start > timeout) {
-              return Promise.reject(new Error('timeout error on pollUntilDone'));
-            } else {
-              return new Promise(resolve => {
-                setTimeout(resolve, interval);
-              }).then(run.bind(this));
-            }
+          } else if ([PrintJob.STATUS_WAITING, PrintJob.STATUS_RUNNING].includes(status)) {
+            this.dispatch('print:progress', jobStatus);
+            return next.call(this);
           }
+        }, error => {
+          // network errors and request timeouts don't provide a response
+          // status
+          const transient = !(signal && signal.aborted) &&
+            (responseStatus === undefined || responseStatus >= 500);
+
+          if (transient && failures < this.pollingRetries) {
+            failures++;
+            Logger.warn(`Error while polling the print job status, retrying ` +
+              `(${failures}/${this.pollingRetries}): ${error.message}`);
+            return next.call(this);
+          }
+
+          return Promise.reject(error);
         });
     }
 
-    return run.call(this);
+    return run.call(this)
+      .catch(error => {
+        if (!done && signal && signal.aborted) {
+          const jobStatus = {
+            ref,
+            status: PrintJob.STATUS_CANCELLED
+          };
+          if (printJob) {
+            this.updatePrintJob(printJob, jobStatus);
+          }
+          this.dispatch('print:cancelled', jobStatus);
+        } else if (!done) {
+          // failed requests and timeouts
+          const jobStatus = {
+            ref,
+            status: PrintJob.STATUS_ERROR,
+            error: error.message
+          };
+          if (printJob) {
+            this.updatePrintJob(printJob, jobStatus);
+          }
+          this.dispatch('print:error', jobStatus);
+        }
+        return Promise.reject(error);
+      });
+  }
+
+  /**
+   * Fetches the given url and aborts the request if it takes longer than the
+   * given timeout.
+   *
+   * @param {string} url The url to fetch.
+   * @param {Object} opts The fetch options.
+   * @param {number} timeout The timeout in ms. Use 0 to disable the timeout.
+   * @param {AbortSignal} signal An optional signal to abort the request with.
+   * @return {Promise} The fetch promise.
+   */
+  fetchWithTimeout(url, opts, timeout, signal) {
+    if (!timeout) {
+      return this.request(url, {
+        ...opts,
+        signal
+      });
+    }
+
+    const abortController = new AbortController();
+    let timedOut = false;
+
+    /**
+     * @ignore
+     */
+    const abort = () => abortController.abort();
+
+    /**
+     * @ignore
+     */
+    const cleanUp = () => {
+      clearTimeout(timeoutId);
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    };
+
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      abort();
+    }, timeout);
+
+    if (signal) {
+      if (signal.aborted) {
+        abort();
+      } else {
+        signal.addEventListener('abort', abort, {once: true});
+      }
+    }
+
+    return this.request(url, {
+      ...opts,
+      signal: abortController.signal
+    })
+      .then(response => {
+        cleanUp();
+        return response;
+      }, error => {
+        cleanUp();
+        return Promise.reject(timedOut ?
+          new Error(`timeout error on request ${url}`) :
+          error);
+      });
+  }
+
+  /**
+   * Returns the status of the current print job out of the given status
+   * response of the print service.
+   *
+   * @param {Object} json The status response.
+   * @param {string} ref The reference of the print job.
+   *
+   * @return {Object} The job status containing the job reference (`ref`),
+   *                  the `status`, the `elapsedTime` and `waitingTime` (in ms),
+   *                  the `downloadURL` and the `error` (if any).
+   */
+  getPrintJobStatus(json, ref) {
+    return {
+      ref,
+      status: json.status,
+      elapsedTime: json.elapsedTime,
+      waitingTime: json.waitingTime,
+      downloadURL: json.downloadURL,
+      error: json.error
+    };
   }
 
   /**
@@ -370,7 +929,7 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
     }
     const cancelPrintJobUrl = `${this.url}cancel/${id}`;
 
-    return fetch(cancelPrintJobUrl, {
+    return this.request(cancelPrintJobUrl, {
       method: 'DELETE',
       headers: {
         ...this.headers
@@ -386,53 +945,484 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
    * Collects the payload that is required for the print call to the print
    * servlet.
    *
+   * If more than one page is given, the map of every page will be passed as
+   * row of the datasource attribute of the layout (see
+   * `getDatasourceAttributeName`), which is expected to contain a `map`
+   * attribute.
+   *
+   * @param {Object} printState The state of the print job, i.e. the
+   *                            `rasterizedLayers` of the pages and the loaded
+   *                            `legendClasses` (see `withPrintState`).
+   *
    * @return {Object} The print payload.
    */
-  getPrintPayload() {
-    const mapView = this.map.getView();
-    const mapProjection = mapView.getProjection();
-    const mapLayers = Shared.getMapLayers(this.map);
-    const extentFeatureGeometry = this._extentFeature.getGeometry();
-
-    const serializedLayers = mapLayers
-      .filter(this.filterPrintableLayer.bind(this))
-      .reduce((acc, layer) => {
-        const serializedLayer = this.serializeLayer(layer);
-        if (serializedLayer) {
-          acc.push(serializedLayer);
-        }
-        return acc;
-      }, []).reverse();
-
-    const serializedLegends = mapLayers
-      .filter(this.filterPrintableLegend.bind(this))
-      .reduce((acc, layer) => {
-        const serializedLegend = this.serializeLegend(layer);
-        if (serializedLegend) {
-          acc.push(serializedLegend);
-        }
-        return acc;
-      }, []).reverse();
+  getPrintPayload(printState = {}) {
+    return this.withPrintState(printState, () => {
+      const printProjection = this.getPrintProjection();
+      const mapLayers = Shared.getMapLayers(this.map);
 
-    const payload = {
-      layout: this.getLayout().name,
-      attributes: {
-        map: {
-          center: getCenter(extentFeatureGeometry.getExtent()),
+      const serializedMaps = this.getPages().map(page => {
+        const {
+          center,
+          scale,
+          rotation
+        } = this.getPrintPageSpec(page);
+
+        // the layers are serialized for every page, as e.g. the rasterized
+        // layers differ per page.
+        const serializedLayers = this.withPrintState({
+          ...printState,
+          page
+        }, () => mapLayers
+          .filter(this.filterPrintableLayer.bind(this))
+          .reduce((acc, layer) => {
+            const serializedLayer = this.serializeLayer(layer);
+            if (Array.isArray(serializedLayer)) {
+              acc.push(...serializedLayer);
+            } else if (serializedLayer) {
+              acc.push(serializedLayer);
+            }
+            return acc;
+          }, []).reverse());
+
+        return {
+          center,
           dpi: this.getDpi(),
           layers: serializedLayers,
-          projection: mapProjection.getCode(),
-          rotation: this.calculateRotation() || 0,
-          scale: this.getScale(),
+          projection: printProjection.getCode(),
+          rotation,
+          scale,
           ...this.customMapParams
-        },
-        legend: {
-          classes: serializedLegends
-        },
-        ...this.customParams
+        };
+      });
+
+      let mapAttributes;
+      if (serializedMaps.length > 1) {
+        mapAttributes = {
+          [this.getDatasourceAttributeName()]: serializedMaps.map(map => ({
+            map
+          }))
+        };
+      } else {
+        mapAttributes = {
+          map: serializedMaps[0]
+        };
       }
-    };
-    return payload;
+
+      const payload = {
+        layout: this.getLayout().name,
+        attributes: {
+          ...mapAttributes,
+          legend: {
+            classes: this.serializeLegends()
+          },
+          ...this.getAttributeValues(),
+          ...this.customParams
+        }
+      };
+      return payload;
+    });
+  }
+
+  /**
+   * Returns the user-editable attributes of the given layout, i.e. all
+   * attributes not populated by the manager itself (see
+   * `MANAGED_ATTRIBUTE_TYPES`).
+   *
+   * @param {Object} layout The layout to get the attributes of. Default is
+   *                        to the current layout.
+   *
+   * @return {Array} The attributes, each containing the `name`, the `type`,
+   *                 the `default` value, whether it's `required` and whether
+   *                 it's an array (`isArray`) as well as the `clientParams`
+   *                 of complex attributes (e.g. tables).
+   */
+  getEditableAttributes(layout = this.getLayout()) {
+    const attributes = layout && layout.attributes ? layout.attributes : [];
+
+    return attributes
+      .filter(attribute => {
+        return !this.constructor.MANAGED_ATTRIBUTE_TYPES.includes(attribute.type);
+      })
+      .map(attribute => ({
+        name: attribute.name,
+        type: attribute.type,
+        default: attribute.default,
+        // the print service omits the default value of required attributes
+        required: !Object.prototype.hasOwnProperty.call(attribute, 'default'),
+        isArray: !!attribute.isArray,
+        clientParams: attribute.clientParams
+      }));
+  }
+
+  /**
+   * Returns the editable attribute of the current layout with the given name.
+   *
+   * @param {string} name The name of the attribute.
+   *
+   * @return {Object} The attribute (see `getEditableAttributes`).
+   */
+  getEditableAttribute(name) {
+    return this.getEditableAttributes().find(attribute => {
+      return attribute.name === name;
+    });
+  }
+
+  /**
+   * Returns the value of the given editable attribute. Falls back to its
+   * default value if no value has been set.
+   *
+   * @param {string} name The name of the attribute.
+   *
+   * @return {*} The value of the attribute.
+   */
+  getAttributeValue(name) {
+    if (Object.prototype.hasOwnProperty.call(this._attributeValues, name)) {
+      return this._attributeValues[name];
+    }
+
+    const attribute = this.getEditableAttribute(name);
+
+    return attribute ? attribute.default : undefined;
+  }
+
+  /**
+   * Sets the value of the given editable attribute of the current layout.
+   * Values not matching the type of the attribute will be rejected.
+   *
+   * @param {string} name The name of the attribute.
+   * @param {*} value The value to set. Use `undefined` to reset the
+   *                  attribute to its default value.
+   *
+   * @return {boolean} Whether the value has been set or not.
+   */
+  setAttributeValue(name, value) {
+    const attribute = this.getEditableAttribute(name);
+
+    if (!attribute) {
+      Logger.warn(`No editable attribute named '${name}' found.`);
+      return false;
+    }
+
+    if (value === undefined) {
+      delete this._attributeValues[name];
+    } else if (this.isValidAttributeValue(attribute, value)) {
+      this._attributeValues[name] = value;
+    } else {
+      Logger.warn(`Invalid value for attribute '${name}' of type ` +
+        `'${attribute.type}'.`);
+      return false;
+    }
+
+    this.dispatch('change:attribute', {
+      name,
+      value: this.getAttributeValue(name)
+    });
+
+    return true;
+  }
+
+  /**
+   * Returns the values of all editable attributes of the current layout set
+   * via `setAttributeValue`. Attributes without a value will be omitted, so
+   * the print service applies its defaults.
+   *
+   * @return {Object} The attribute values, keyed by the attribute name.
+   */
+  getAttributeValues() {
+    return this.getEditableAttributes().reduce((acc, attribute) => {
+      if (Object.prototype.hasOwnProperty.call(this._attributeValues,
+        attribute.name)) {
+        acc[attribute.name] = this._attributeValues[attribute.name];
+      }
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Validates the values of the editable attributes of the current layout.
+   *
+   * @return {Array} The validation errors, each containing the `name` of the
+   *                 attribute and a `message`. Empty if all values are valid.
+   */
+  validateAttributeValues() {
+    return this.getEditableAttributes().reduce((acc, attribute) => {
+      const value = this.getAttributeValue(attribute.name);
+
+      if (value === undefined || value === null) {
+        if (attribute.required) {
+          acc.push({
+            name: attribute.name,
+            message: `The attribute '${attribute.name}' is required.`
+          });
+        }
+      } else if (!this.isValidAttributeValue(attribute, value)) {
+        acc.push({
+          name: attribute.name,
+          message: `The value of attribute '${attribute.name}' doesn't ` +
+            `match its type '${attribute.type}'.`
+        });
+      }
+      return acc;
+    }, []);
+  }
+
+  /**
+   * Checks if the given value matches the type of the given attribute.
+   * Values of unknown types are considered to be valid.
+   *
+   * @param {Object} attribute The attribute (see `getEditableAttributes`).
+   * @param {*} value The value to check.
+   *
+   * @return {boolean} Whether the value is valid or not.
+   */
+  isValidAttributeValue(attribute, value) {
+    if (value === null) {
+      return !attribute.required;
+    }
+
+    if (attribute.isArray) {
+      return Array.isArray(value) && value.every(item => {
+        return this.isValidAttributeValue({
+          ...attribute,
+          isArray: false
+        }, item);
+      });
+    }
+
+    switch (attribute.type) {
+      case 'String':
+      case 'URL':
+        return typeof value === 'string';
+      case 'boolean':
+      case 'Boolean':
+        return typeof value === 'boolean';
+      case 'int':
+      case 'long':
+      case 'Integer':
+      case 'Long':
+        return Number.isInteger(value);
+      case 'double':
+      case 'float':
+      case 'Double':
+      case 'Float':
+        return typeof value === 'number' && !isNaN(value);
+      case 'TableAttributeValue':
+        return !!value && Array.isArray(value.columns) &&
+          Array.isArray(value.data) &&
+          value.data.every(row => Array.isArray(row));
+      default:
+        // complex attributes, e.g. the north arrow or the scalebar
+        return attribute.clientParams ?
+          typeof value === 'object' && !Array.isArray(value) :
+          true;
+    }
+  }
+
+  /**
+   * Validates the given print payload against the loaded capabilities, i.e.
+   * checks the layout, unknown, missing and mistyped attributes, the dpi,
+   * the scale and the layer types of all maps as well as the current output
+   * format.
+   *
+   * @param {Object} payload The payload to validate. Default is to the
+   *                         current print payload.
+   *
+   * @return {Array} The validation errors, each containing the `code` (see
+   *                 `VALIDATION_ERROR_CODES`), the `path` of the invalid
+   *                 property in the payload and a `message`. Empty if the
+   *                 payload is valid.
+   */
+  validatePayload(payload = this.getPrintPayload()) {
+    const codes = this.constructor.VALIDATION_ERROR_CODES;
+    const errors = [];
+
+    if (!this.getOutputFormats().includes(this.getOutputFormat())) {
+      errors.push(this.createValidationError(codes.INVALID_OUTPUT_FORMAT,
+        'outputFormat',
+        `The output format '${this.getOutputFormat()}' is not supported.`));
+    }
+
+    const layout = this.getLayoutByName(payload.layout);
+
+    if (!layout) {
+      errors.push(this.createValidationError(codes.INVALID_LAYOUT, 'layout',
+        `The layout '${payload.layout}' is not supported.`));
+      return errors;
+    }
+
+    const layoutAttributes = layout.attributes || [];
+    const payloadAttributes = payload.attributes || {};
+
+    Object.keys(payloadAttributes).forEach(name => {
+      if (!layoutAttributes.find(attribute => attribute.name === name)) {
+        errors.push(this.createValidationError(codes.UNKNOWN_ATTRIBUTE,
+          `attributes.${name}`,
+          `The attribute '${name}' is not supported by the layout ` +
+          `'${layout.name}'.`));
+      }
+    });
+
+    this.getEditableAttributes(layout).forEach(attribute => {
+      const value = payloadAttributes[attribute.name];
+
+      if (value === undefined) {
+        if (attribute.required) {
+          errors.push(this.createValidationError(codes.MISSING_ATTRIBUTE,
+            `attributes.${attribute.name}`,
+            `The attribute '${attribute.name}' is required.`));
+        }
+      } else if (!this.isValidAttributeValue(attribute, value)) {
+        errors.push(this.createValidationError(codes.INVALID_TYPE,
+          `attributes.${attribute.name}`,
+          `The value of attribute '${attribute.name}' doesn't match its ` +
+          `type '${attribute.type}'.`));
+      }
+    });
+
+    const mapAttribute = layoutAttributes.find(attribute => {
+      return attribute.type === 'MapAttributeValues';
+    });
+    const maxDpi = get(mapAttribute, 'clientInfo.maxDPI');
+    const scales = get(mapAttribute, 'clientInfo.scales');
+    const datasourceName = this.getDatasourceAttributeName(layout);
+    const datasource = payloadAttributes[datasourceName];
+    const maps = Array.isArray(datasource) && datasource.length > 0 ?
+      datasource.map((item, idx) => ({
+        map: item && item.map,
+        path: `attributes.${datasourceName}.${idx}.map`
+      })) :
+      [{
+        map: payloadAttributes.map,
+        path: 'attributes.map'
+      }];
+
+    maps.filter(({map}) => map).forEach(({map, path}) => {
+      if (maxDpi && map.dpi > maxDpi) {
+        errors.push(this.createValidationError(codes.INVALID_DPI,
+          `${path}.dpi`,
+          `The dpi '${map.dpi}' exceeds the maximum dpi '${maxDpi}'.`));
+      }
+
+      if (Array.isArray(scales) && !scales.includes(map.scale)) {
+        errors.push(this.createValidationError(codes.INVALID_SCALE,
+          `${path}.scale`,
+          `The scale '${map.scale}' is not supported.`));
+      }
+
+      (map.layers || []).forEach((layer, idx) => {
+        if (!this.constructor.LAYER_TYPES.includes(layer.type)) {
+          errors.push(this.createValidationError(codes.INVALID_LAYER_TYPE,
+            `${path}.layers.${idx}.type`,
+            `The layer type '${layer.type}' is not supported.`));
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Serializes/encodes the legends of all printable layers of the given map
+   * or layer group. Overrides the method from base class to list the top
+   * most layer first.
+   *
+   * @param {ol.Map|ol.layer.Group} collection The map or layer group to
+   *                                           serialize the legends of.
+   *                                           Default is to the map.
+   *
+   * @return {Array} The serialized/encoded legends.
+   */
+  serializeLegends(collection = this.map) {
+    return super.serializeLegends(collection).reverse();
+  }
+
+  /**
+   * Returns the name of the datasource attribute of the given layout used to
+   * print multiple pages.
+   *
+   * @param {Object} layout The layout to get the attribute name of. Default
+   *                        is to the current layout.
+   *
+   * @return {string} The name of the datasource attribute.
+   */
+  getDatasourceAttributeName(layout = this.getLayout()) {
+    const attributes = layout && layout.attributes ? layout.attributes : [];
+    const datasourceAttribute = attributes.find(attribute => {
+      return attribute.type === this.constructor.DATASOURCE_ATTRIBUTE_TYPE;
+    });
+
+    return datasourceAttribute ?
+      datasourceAttribute.name :
+      this.constructor.DATASOURCE_ATTRIBUTE_NAME;
+  }
+
+  /**
+   * Returns the most recently created print job that isn't done yet.
+   *
+   * @return {PrintJob|null} The print job handle.
+   */
+  getPrintJob() {
+    const pendingJobs = this.getPrintJobs().filter(printJob => !printJob.isDone());
+
+    return pendingJobs.length > 0 ? pendingJobs[pendingJobs.length - 1] : null;
+  }
+
+  /**
+   * Returns all print jobs created by the manager, optionally filtered by
+   * their status.
+   *
+   * @param {string} status The status to filter the jobs with, e.g.
+   *                        `queued`, `running` or `finished`.
+   * @return {Array} The print jobs.
+   */
+  getPrintJobs(status) {
+    if (status) {
+      return this._printJobs.filter(printJob => printJob.status === status);
+    }
+
+    return this._printJobs;
+  }
+
+  /**
+   * Removes all done (finished, failed or cancelled) print jobs from the
+   * list of print jobs.
+   */
+  clearPrintJobs() {
+    this._printJobs = this._printJobs.filter(printJob => !printJob.isDone());
+  }
+
+  /**
+   * Removes the given done (finished, failed or cancelled) print job from the
+   * list of print jobs. Pending jobs have to be cancelled first.
+   *
+   * @param {PrintJob} printJob The job to remove.
+   */
+  removePrintJob(printJob) {
+    if (!printJob.isDone()) {
+      Logger.warn('Only finished, failed or cancelled print jobs can be removed.');
+      return;
+    }
+
+    this._printJobs = this._printJobs.filter(job => job !== printJob);
+  }
+
+  /**
+   * Removes the oldest done print jobs exceeding `maxDonePrintJobs` from the
+   * list of print jobs.
+   */
+  prunePrintJobs() {
+    if (!this.maxDonePrintJobs) {
+      return;
+    }
+
+    const doneJobs = this._printJobs.filter(printJob => printJob.isDone());
+    const obsoleteJobs = doneJobs.slice(0,
+      Math.max(0, doneJobs.length - this.maxDonePrintJobs));
+
+    this._printJobs = this._printJobs.filter(printJob => {
+      return !obsoleteJobs.includes(printJob);
+    });
   }
 
   /**
@@ -479,18 +1469,40 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
 
     const mapAttribute = this.getAttributeByName('map');
 
-    this._dpis = get(mapAttribute, 'clientInfo.dpiSuggestions');
-    // set some defaults if not provided via capabilities
-    if (!this._dpis) {
-      this._dpis = [72, 150];
-    }
-    this.setDpi(this.getDpis()[0]);
-
     this.setPrintMapSize({
       width: get(mapAttribute, 'clientInfo.width'),
       height: get(mapAttribute, 'clientInfo.height')
     });
 
+    this._maxDpi = get(mapAttribute, 'clientInfo.maxDPI') || null;
+
+    // set some defaults if not provided via capabilities
+    const dpis = get(mapAttribute, 'clientInfo.dpiSuggestions') || [72, 150];
+    this._dpis = this._maxDpi ?
+      dpis.filter(dpi => dpi <= this._maxDpi) :
+      dpis;
+    if (this._dpis.length === 0) {
+      this._dpis = [this._maxDpi];
+    }
+
+    if (!this.getDpis().includes(this.getDpi())) {
+      this.setDpi(this.getDpis()[0]);
+    }
+
+    // the scales of the print service will be overridden by custom scales if
+    // given, some most common used values serve as fallback if the print
+    // service doesn't provide any.
+    if (this.customPrintScales.length > 0) {
+      this._scales = this.customPrintScales;
+    } else {
+      this._scales = get(mapAttribute, 'clientInfo.scales') || scales;
+    }
+
+    if (!this.getScales().includes(this.getScale())) {
+      this._scale = this.getClosestScaleToFitMap();
+      this.dispatch('change:scale', this._scale);
+    }
+
     this.updatePrintExtent();
 
     this.dispatch('change:layout', layout);
@@ -524,6 +1536,15 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
       .catch(error => Promise.reject(new Error(`${error.message}`)));
   }
 
+  /**
+   * Returns the maximum dpi supported by the current layout.
+   *
+   * @return {number} The maximum dpi or `null` if not restricted.
+   */
+  getMaxDpi() {
+    return this._maxDpi;
+  }
+
   /**
    * Sets the dpi to use.
    *
@@ -532,6 +1553,12 @@ export class MapFishPrintV3Manager extends BaseMapFishPrintManager {
   setDpi = value => {
     value = parseFloat(value);
 
+    if (this._maxDpi && value > this._maxDpi) {
+      Logger.warn(`The dpi '${value}' exceeds the maximum dpi ` +
+        `'${this._maxDpi}' of the current layout.`);
+      return;
+    }
+
     const dpi = this.getDpis().find(dpi => dpi === value);
 
     if (!dpi) {
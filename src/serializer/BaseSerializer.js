@@ -1,3 +1,8 @@
+import { equivalent, transformExtent } from 'ol/proj';
+import get from 'lodash/get';
+import isEmpty from 'lodash/isEmpty';
+import parseColor from 'parse-color';
+
 import Shared from '../util/Shared';
 import Log from '../util/Logger';
 
@@ -15,6 +20,32 @@ export class BaseSerializer {
    */
   static sourceCls = [];
 
+  /**
+   * The effective state of the layer to serialize, i.e. its visibility,
+   * opacity and resolution limits including the ones of its parent layer
+   * groups (see `getLayerState` of the managers). If not set, the values of
+   * the layer itself will be used.
+   *
+   * @type {Object}
+   */
+  layerState = null;
+
+  /**
+   * The projection of the map view, i.e. the projection the features and
+   * extents of the layer to serialize are given in.
+   *
+   * @type {ol.proj.Projection}
+   */
+  viewProjection = null;
+
+  /**
+   * The projection to print in. If set together with the `viewProjection`,
+   * features and extents will be transformed into it while serializing.
+   *
+   * @type {ol.proj.Projection}
+   */
+  printProjection = null;
+
   /**
    * Serializes/Encodes the given layer.
    *
@@ -28,18 +59,169 @@ export class BaseSerializer {
       source.getProjection().getUnits() :
       'm';
 
-    if (layer.getMinResolution() > 0) {
+    const minResolution = this.getMinResolution(layer);
+    const maxResolution = this.getMaxResolution(layer);
+
+    if (minResolution > 0) {
       serialized.minScaleDenominator = Shared.getScaleForResolution(
-        layer.getMinResolution(), units);
+        minResolution, units);
     }
-    if (layer.getMaxResolution() !== Infinity) {
+    if (maxResolution !== Infinity) {
       serialized.maxScaleDenominator = Shared.getScaleForResolution(
-        layer.getMaxResolution(), units);
+        maxResolution, units);
     }
 
     return serialized;
   }
 
+  /**
+   * Returns the effective opacity of the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer.
+   * @return {number} The opacity.
+   */
+  getOpacity(layer) {
+    return this.layerState ? this.layerState.opacity : layer.getOpacity();
+  }
+
+  /**
+   * Returns the effective minimum resolution of the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer.
+   * @return {number} The minimum resolution.
+   */
+  getMinResolution(layer) {
+    return this.layerState ?
+      this.layerState.minResolution :
+      layer.getMinResolution();
+  }
+
+  /**
+   * Returns the effective maximum resolution of the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer.
+   * @return {number} The maximum resolution.
+   */
+  getMaxResolution(layer) {
+    return this.layerState ?
+      this.layerState.maxResolution :
+      layer.getMaxResolution();
+  }
+
+  /**
+   * Returns the options to write features in the print projection with
+   * (see `ol.format.Feature#writeFeatureObject`).
+   *
+   * @return {Object} The write options.
+   */
+  getWriteOptions() {
+    if (!this.viewProjection || !this.printProjection) {
+      return {};
+    }
+
+    return {
+      featureProjection: this.viewProjection,
+      dataProjection: this.printProjection
+    };
+  }
+
+  /**
+   * Transforms the given extent into the print projection.
+   *
+   * @param {ol.Extent} extent The extent to transform.
+   * @param {ol.proj.ProjectionLike} projection The projection of the extent.
+   *                                            Default is to the view
+   *                                            projection.
+   * @return {ol.Extent} The transformed extent.
+   */
+  transformExtent(extent, projection = this.viewProjection) {
+    if (!extent || !projection || !this.printProjection) {
+      return extent;
+    }
+
+    return transformExtent(extent, projection, this.printProjection);
+  }
+
+  /**
+   * Returns the MapFish style halo properties of the given (written) text
+   * style. The halo is taken from the stroke of the text. As the print
+   * service doesn't support label backgrounds, a background fill will be
+   * printed as halo (sized by the padding) if the text has no stroke.
+   *
+   * @param {Object} textStyle The written text style (see `writeTextStyle`
+   *                           of the vector serializers).
+   * @return {Object} The halo properties `haloColor`, `haloOpacity` and
+   *                  `haloRadius`.
+   */
+  writeHalo = textStyle => {
+    let color;
+    let radius;
+
+    if (!isEmpty(textStyle.stroke)) {
+      color = textStyle.stroke.color;
+      radius = textStyle.stroke.width;
+    } else if (!isEmpty(textStyle.backgroundFill)) {
+      color = textStyle.backgroundFill.color;
+      radius = Math.max(1, ...(textStyle.padding || []));
+    }
+
+    if (!color) {
+      return {};
+    }
+
+    return {
+      haloColor: parseColor(color).hex,
+      haloOpacity: get(parseColor(color), 'rgba[3]'),
+      haloRadius: radius
+    };
+  }
+
+  /**
+   * Returns the MapFish style label alignment matching the given ol text
+   * alignment and baseline, e.g. `lb` for a text aligned `left` on the
+   * `bottom` baseline.
+   *
+   * @param {string} textAlign The ol text alignment.
+   * @param {string} textBaseline The ol text baseline.
+   * @return {string} The label alignment.
+   */
+  writeLabelAlign = (textAlign, textBaseline) => {
+    if (!textAlign && !textBaseline) {
+      return undefined;
+    }
+
+    const horizontal = {
+      left: 'l',
+      start: 'l',
+      right: 'r',
+      end: 'r'
+    }[textAlign] || 'c';
+    const vertical = {
+      top: 't',
+      hanging: 't',
+      bottom: 'b',
+      alphabetic: 'b',
+      ideographic: 'b'
+    }[textBaseline] || 'm';
+
+    return `${horizontal}${vertical}`;
+  }
+
+  /**
+   * Returns the given ol rotation (in radians) in degrees as expected by the
+   * print service.
+   *
+   * @param {number} rotation The rotation in radians.
+   * @return {number} The rotation in degrees.
+   */
+  writeRotation = rotation => {
+    if (!rotation) {
+      return undefined;
+    }
+
+    return rotation * 180 / Math.PI;
+  }
+
   /**
    * Validates if the given ol source is compatible with the serializer. Usally
    * called by subclasses.
@@ -58,6 +240,30 @@ export class BaseSerializer {
 
     return isValidSource;
   }
+
+  /**
+   * Validates if the tiles of the given ol source can be printed in the print
+   * projection. As the print service doesn't reproject tiles, the projection
+   * of the tile grid has to match the print projection. Usually called by the
+   * serializers of tile sources.
+   *
+   * @param {ol.source.Tile} source The source to validate.
+   * @return {boolean} Whether the tiles can be printed or not.
+   */
+  validateTileProjection = source => {
+    const projection = source.getProjection();
+
+    if (!projection || !this.printProjection ||
+      equivalent(projection, this.printProjection)) {
+      return true;
+    }
+
+    Log.warn(`Cannot print the tiles of the projection '${projection.getCode()}' ` +
+      `in the print projection '${this.printProjection.getCode()}', the ` +
+      'layer will be skipped.');
+
+    return false;
+  }
 }
 
 export default BaseSerializer;
@@ -96,7 +96,8 @@ export class MapFishPrintV2VectorSerializer extends BaseSerializer {
         polyFeature.setStyle(style);
         feature = polyFeature;
       }
-      serializedFeature = format.writeFeatureObject(feature);
+      serializedFeature = format.writeFeatureObject(feature,
+        this.getWriteOptions());
 
       let styles;
       let styleFunction = feature.getStyleFunction();
@@ -141,7 +142,7 @@ export class MapFishPrintV2VectorSerializer extends BaseSerializer {
       ...super.serialize(layer, source),
       ...{
         name: layer.get('name') || 'Vector Layer',
-        opacity: layer.getOpacity(),
+        opacity: this.getOpacity(layer),
         geoJson: {
           type: 'FeatureCollection',
           features: serializedFeatures
@@ -238,7 +239,14 @@ export class MapFishPrintV2VectorSerializer extends BaseSerializer {
         fontWeight: parsedFont.weight,
         fontStyle: parsedFont.style,
         fontColor: parseColor(get(textStyle, 'fill.color')).hex,
-        fontOpacity: get(parseColor(get(textStyle, 'fill.color')), 'rgba[3]')
+        fontOpacity: get(parseColor(get(textStyle, 'fill.color')), 'rgba[3]'),
+        ...this.writeHalo(textStyle),
+        labelAlign: this.writeLabelAlign(textStyle.textAlign,
+          textStyle.textBaseline),
+        labelXOffset: textStyle.offsetX || undefined,
+        // the y axis of the ol offset points downwards
+        labelYOffset: textStyle.offsetY ? -textStyle.offsetY : undefined,
+        labelRotation: this.writeRotation(textStyle.rotation)
       }};
     }
 
@@ -407,10 +415,13 @@ export class MapFishPrintV2VectorSerializer extends BaseSerializer {
     }
 
     return {
+      backgroundFill: this.writeFillStyle(olTextStyle.getBackgroundFill()),
+      backgroundStroke: this.writeStrokeStyle(olTextStyle.getBackgroundStroke()),
       fill: this.writeFillStyle(olTextStyle.getFill()),
       font: olTextStyle.getFont(),
       offsetX: olTextStyle.getOffsetX(),
       offsetY: olTextStyle.getOffsetY(),
+      padding: olTextStyle.getPadding(),
       rotation: olTextStyle.getRotation(),
       scale: olTextStyle.getScale(),
       stroke: this.writeStrokeStyle(olTextStyle.getStroke()),
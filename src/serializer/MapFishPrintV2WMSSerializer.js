@@ -72,7 +72,7 @@ export class MapFishPrintV2WMSSerializer extends BaseSerializer {
         customParams: customParams,
         format: source.getParams().FORMAT || 'image/png',
         layers: layersArray,
-        opacity: layer.getOpacity(),
+        opacity: this.getOpacity(layer),
         singleTile: source instanceof OlSourceImageWMS,
         styles: stylesArray,
         type: this.constructor.TYPE_WMS
@@ -11,6 +11,7 @@ import OlStyleText from 'ol/style/Text';
 import OlStyleStroke from 'ol/style/Stroke';
 import OlStyleFill from 'ol/style/Fill';
 import get from 'lodash/get';
+import isEmpty from 'lodash/isEmpty';
 import pickBy from 'lodash/pickBy';
 import parseColor from 'parse-color';
 import parseFont from 'parse-css-font';
@@ -47,6 +48,21 @@ export class MapFishPrintV3GeoJsonSerializer extends BaseSerializer {
    */
   static FEAT_STYLE_PROPERTY = '_style';
 
+  /**
+   * The version of the MapFish JSON style format to write.
+   *
+   * @type {string}
+   */
+  static STYLE_VERSION = '2';
+
+  /**
+   * The font to use for labels without an explicitly set font. Matches the
+   * default font of `ol.style.Text`.
+   *
+   * @type {string}
+   */
+  static DEFAULT_FONT = '10px sans-serif';
+
   /**
    * The ol sources this serializer is capable of serializing.
    *
@@ -85,12 +101,43 @@ export class MapFishPrintV3GeoJsonSerializer extends BaseSerializer {
       return;
     }
 
-    const features = source.getFeatures();
+    const {
+      features,
+      style
+    } = this.serializeFeatures(source.getFeatures(), layer, viewResolution);
+
+    const serialized = {
+      ...super.serialize(layer, opts, viewResolution),
+      ...{
+        geoJson: {
+          type: 'FeatureCollection',
+          features
+        },
+        name: layer.get('name') || 'Vector Layer',
+        opacity: this.getOpacity(layer),
+        style,
+        type: this.constructor.TYPE_GEOJSON
+      },
+      ...opts
+    };
+
+    return serialized;
+  }
+
+  /**
+   * Serializes/Encodes the given features and their styles.
+   *
+   * @param {Array} features The features (`ol.Feature`) to serialize/encode.
+   * @param {ol.layer.Layer} layer The layer the features belong to.
+   * @param {number} viewResolution The resolution to calculate the styles for.
+   * @return {Object} An object containing the serialized `features` and the
+   *                  MapFish JSON `style` to render them with.
+   */
+  serializeFeatures(features, layer, viewResolution) {
     const format = new OlFormatGeoJSON();
     const serializedFeatures = [];
     const serializedStyles = {};
     const serializedStylesDict = {};
-    let styleName;
     let styleId = 0;
 
     features.forEach(feature => {
@@ -106,73 +153,103 @@ export class MapFishPrintV3GeoJsonSerializer extends BaseSerializer {
         polyFeature.setStyle(style);
         feature = polyFeature;
       }
-      serializedFeature = format.writeFeatureObject(feature);
+      serializedFeature = format.writeFeatureObject(feature,
+        this.getWriteOptions());
 
-      let styles;
-      let styleFunction = feature.getStyleFunction();
+      const styles = this.getFeatureStyles(feature, layer, viewResolution);
 
-      if (styleFunction) {
-        styles = styleFunction.call(feature, viewResolution);
-      } else {
-        styleFunction = layer.getStyleFunction();
-        if (styleFunction) {
-          styles = styleFunction.call(layer, feature, viewResolution);
-        }
+      if (!styles) {
+        return;
       }
 
-      // assumption below: styles is an array of OlStyleStyle
-      if (styles instanceof OlStyleStyle) {
-        styles = [styles];
-      }
+      // all styles of a single feature will be combined into one rule
+      // containing the symbolizers of every style.
+      const symbolizers = styles.reduce((acc, style) => {
+        const styleSymbolizers = this.writeStyle(style, geometryType);
+        return styleSymbolizers ? acc.concat(styleSymbolizers) : acc;
+      }, []);
 
-      if (styles) {
+      if (symbolizers.length > 0) {
         serializedFeatures.push(serializedFeature);
 
-        styles.forEach(style => {
-          const styleObject = this.writeStyle(style, geometryType);
-          const serializedStyle = JSON.stringify(styleObject);
-          const dictStyle = serializedStylesDict[serializedStyle];
-
-          if (dictStyle >= 0) {
-            styleName = dictStyle;
-          } else {
-            serializedStylesDict[serializedStyle] = styleName = styleId++;
-            serializedStyles[styleName] = styleObject;
-          }
-          if (!serializedFeature.properties) {
-            serializedFeature.properties = {};
-          }
-          // serializedFeature.properties[this.constructor.FEAT_STYLE_PROPERTY] = styleName;
-        });
+        const serializedStyle = JSON.stringify(symbolizers);
+        let styleName = serializedStylesDict[serializedStyle];
+
+        if (styleName === undefined) {
+          styleName = `${styleId++}`;
+          serializedStylesDict[serializedStyle] = styleName;
+          serializedStyles[this.getStyleSelector(styleName)] = {
+            symbolizers
+          };
+        }
+
+        if (!serializedFeature.properties) {
+          serializedFeature.properties = {};
+        }
+        serializedFeature.properties[this.constructor.FEAT_STYLE_PROPERTY] = styleName;
       }
     });
 
-    const serialized = {
-      ...super.serialize(layer, opts, viewResolution),
-      ...{
-        geoJson: {
-          type: 'FeatureCollection',
-          features: serializedFeatures
-        },
-        name: layer.get('name') || 'Vector Layer',
-        opacity: layer.getOpacity(),
-        // TODO Currently not supported, GeoStyler MapFish JSON StyleParser should
-        // be used here!
-        style: {},
-        type: this.constructor.TYPE_GEOJSON
-      },
-      ...opts
+    return {
+      features: serializedFeatures,
+      style: {
+        version: this.constructor.STYLE_VERSION,
+        ...serializedStyles
+      }
     };
+  }
 
-    return serialized;
+  /**
+   * Returns the styles of the given feature for the given resolution. If the
+   * feature doesn't have a style on its own, the style of the given layer
+   * will be used.
+   *
+   * @param {ol.Feature|ol.render.Feature} feature The feature to get the
+   *                                               styles for.
+   * @param {ol.layer.Layer} layer The layer the feature belongs to.
+   * @param {number} viewResolution The resolution to calculate the styles for.
+   * @return {Array|undefined} The styles (`ol.style.Style`).
+   */
+  getFeatureStyles(feature, layer, viewResolution) {
+    let styles;
+    let styleFunction = feature.getStyleFunction();
+
+    if (styleFunction) {
+      styles = styleFunction(feature, viewResolution);
+    } else {
+      styleFunction = layer.getStyleFunction();
+      if (styleFunction) {
+        styles = styleFunction.call(layer, feature, viewResolution);
+      }
+    }
+
+    // assumption below: styles is an array of OlStyleStyle
+    if (styles instanceof OlStyleStyle) {
+      styles = [styles];
+    }
+
+    return styles;
+  }
+
+  /**
+   * Returns the MapFish JSON style selector matching all features having the
+   * given style name set in their style property.
+   *
+   * @param {string} styleName The name of the style to select.
+   * @return {string} The selector, e.g. `[_style = '0']`.
+   */
+  getStyleSelector(styleName) {
+    return `[${this.constructor.FEAT_STYLE_PROPERTY} = '${styleName}']`;
   }
 
   /**
-   * Returns a plain object matching the passed `ol.style.Style` instance.
+   * Returns the MapFish JSON style symbolizers matching the passed
+   * `ol.style.Style` instance.
    *
    * @param {ol.style.Style} olStyle An ol.style.Style instance.
-   * @return {Object} A plain object matching the passed `ol.style.Style`
-   *                  instance.
+   * @param {string} geomType The geometry type of the feature to style.
+   * @return {Array} The symbolizers matching the passed `ol.style.Style`
+   *                 instance.
    */
   writeStyle = (olStyle, geomType) => {
     if (!(olStyle instanceof OlStyleStyle)) {
@@ -183,79 +260,118 @@ export class MapFishPrintV3GeoJsonSerializer extends BaseSerializer {
     const imageStyle = this.writeImageStyle(olStyle.getImage());
     const strokeStyle = this.writeStrokeStyle(olStyle.getStroke());
     const textStyle = this.writeTextStyle(olStyle.getText());
+    const symbolizers = [];
 
-    let style = {};
     switch (geomType) {
       case 'Point':
       case 'MultiPoint':
-        style = {
-          version: 2,
-          strokeColor: parseColor(get(imageStyle, 'stroke.color')).hex,
-          strokeOpacity: get(parseColor(get(imageStyle, 'stroke.color')), 'rgba[3]'),
-          strokeWidth: get(imageStyle, 'stroke.width'),
-          strokeLinecap: get(imageStyle, 'stroke.lineCap'),
-          strokeDashstyle: get(imageStyle, 'stroke.lineDash'),
-          fillColor: parseColor(get(imageStyle, 'fill.color')).hex,
-          fillOpacity: get(parseColor(get(imageStyle, 'fill.color')), 'rgba[3]'),
-          pointRadius: imageStyle.radius,
-          externalGraphic: imageStyle.src,
-          graphicWidth: get(imageStyle, 'size[0]'),
-          graphicHeight: get(imageStyle, 'size[1]'),
-          graphicOpacity: imageStyle instanceof OlStyleIcon ? imageStyle.opacity : undefined,
-          // TODO not available in ol3?
-          graphicXOffset: undefined,
-          // TODO not available in ol3?
-          graphicYOffset: undefined,
-          rotation: imageStyle.rotation,
-          // TODO Support full list of graphics: 'circle', 'square', 'star', 'x',
-          // 'cross' and 'triangle'
-          graphicName: 'circle'
-        };
+        if (!isEmpty(imageStyle)) {
+          symbolizers.push({
+            type: 'point',
+            strokeColor: parseColor(get(imageStyle, 'stroke.color')).hex,
+            strokeOpacity: get(parseColor(get(imageStyle, 'stroke.color')), 'rgba[3]'),
+            strokeWidth: get(imageStyle, 'stroke.width'),
+            strokeLinecap: get(imageStyle, 'stroke.lineCap'),
+            strokeDashstyle: this.writeDashStyle(get(imageStyle, 'stroke.lineDash')),
+            fillColor: parseColor(get(imageStyle, 'fill.color')).hex,
+            fillOpacity: get(parseColor(get(imageStyle, 'fill.color')), 'rgba[3]'),
+            pointRadius: imageStyle.radius,
+            externalGraphic: imageStyle.src,
+            graphicWidth: get(imageStyle, 'size[0]'),
+            graphicHeight: get(imageStyle, 'size[1]'),
+            graphicOpacity: imageStyle.src ? imageStyle.opacity : undefined,
+            rotation: this.writeRotation(imageStyle.rotation),
+            // TODO Support full list of graphics: 'circle', 'square', 'star', 'x',
+            // 'cross' and 'triangle'
+            graphicName: imageStyle.src ? undefined : 'circle'
+          });
+        }
         break;
       case 'LineString':
       case 'MultiLineString':
-        style = {
-          strokeColor: parseColor(strokeStyle.color).hex,
-          strokeOpacity: get(parseColor(strokeStyle.color), 'rgba[3]'),
-          strokeWidth: strokeStyle.width,
-          strokeLinecap: strokeStyle.lineCap,
-          strokeDashstyle: strokeStyle.lineDash
-        };
+        if (!isEmpty(strokeStyle)) {
+          symbolizers.push({
+            type: 'line',
+            strokeColor: parseColor(strokeStyle.color).hex,
+            strokeOpacity: get(parseColor(strokeStyle.color), 'rgba[3]'),
+            strokeWidth: strokeStyle.width,
+            strokeLinecap: strokeStyle.lineCap,
+            strokeLinejoin: strokeStyle.lineJoin,
+            strokeDashstyle: this.writeDashStyle(strokeStyle.lineDash)
+          });
+        }
         break;
       case 'Polygon':
       case 'MultiPolygon':
       case 'Circle':
-        style = {
-          strokeColor: parseColor(strokeStyle.color).hex,
-          strokeOpacity: get(parseColor(strokeStyle.color), 'rgba[3]'),
-          strokeWidth: strokeStyle.width,
-          strokeLinecap: strokeStyle.lineCap,
-          strokeDashstyle: strokeStyle.lineDash,
-          fillColor: parseColor(fillStyle.color).hex,
-          fillOpacity: get(parseColor(fillStyle.color), 'rgba[3]')
-        };
+        if (!isEmpty(fillStyle) || !isEmpty(strokeStyle)) {
+          symbolizers.push({
+            type: 'polygon',
+            strokeColor: parseColor(strokeStyle.color).hex,
+            strokeOpacity: get(parseColor(strokeStyle.color), 'rgba[3]'),
+            // a polygon without a stroke shouldn't get the default stroke
+            // of the print service.
+            strokeWidth: isEmpty(strokeStyle) ? 0 : strokeStyle.width,
+            strokeLinecap: strokeStyle.lineCap,
+            strokeLinejoin: strokeStyle.lineJoin,
+            strokeDashstyle: this.writeDashStyle(strokeStyle.lineDash),
+            fillColor: parseColor(fillStyle.color).hex,
+            // a polygon without a fill shouldn't get the default fill
+            // of the print service.
+            fillOpacity: isEmpty(fillStyle) ?
+              0 :
+              get(parseColor(fillStyle.color), 'rgba[3]')
+          });
+        }
         break;
       default:
-        // TODO some fallback style?!
-        style = {
-
-        };
+        break;
     }
 
     if (textStyle && textStyle.text) {
-      const parsedFont = parseFont(textStyle.font);
-      style = {...style, ...{
+      const parsedFont = parseFont(textStyle.font || this.constructor.DEFAULT_FONT);
+      const followLine = textStyle.placement === 'line';
+      symbolizers.push({
+        type: 'text',
         label: textStyle.text,
         fontFamily: parsedFont.family.join(','),
         fontSize: parsedFont.size,
         fontWeight: parsedFont.weight,
         fontStyle: parsedFont.style,
         fontColor: parseColor(get(textStyle, 'fill.color')).hex,
-        fontOpacity: get(parseColor(get(textStyle, 'fill.color')), 'rgba[3]')
-      }};
+        fontOpacity: get(parseColor(get(textStyle, 'fill.color')), 'rgba[3]'),
+        ...this.writeHalo(textStyle),
+        labelAlign: this.writeLabelAlign(textStyle.textAlign,
+          textStyle.textBaseline),
+        labelXOffset: textStyle.offsetX || undefined,
+        // the y axis of the ol offset points downwards
+        labelYOffset: textStyle.offsetY ? -textStyle.offsetY : undefined,
+        // labels following a line are rotated along the line
+        labelRotation: followLine ?
+          undefined :
+          this.writeRotation(textStyle.rotation),
+        followLine: followLine || undefined,
+        maxAngleDelta: followLine ?
+          this.writeRotation(textStyle.maxAngle) :
+          undefined
+      });
+    }
+
+    return symbolizers.map(symbolizer => pickBy(symbolizer, v => v !== undefined));
+  }
+
+  /**
+   * Returns the MapFish JSON style dash style matching the given ol line dash.
+   *
+   * @param {Array} lineDash The ol line dash, e.g. `[5, 10]`.
+   * @return {string} The dash style, e.g. `5 10`.
+   */
+  writeDashStyle = lineDash => {
+    if (!Array.isArray(lineDash) || lineDash.length === 0) {
+      return undefined;
     }
 
-    return pickBy(style, v => v !== undefined);
+    return lineDash.join(' ');
   }
 
   /**
@@ -420,10 +536,15 @@ export class MapFishPrintV3GeoJsonSerializer extends BaseSerializer {
     }
 
     return {
+      backgroundFill: this.writeFillStyle(olTextStyle.getBackgroundFill()),
+      backgroundStroke: this.writeStrokeStyle(olTextStyle.getBackgroundStroke()),
       fill: this.writeFillStyle(olTextStyle.getFill()),
       font: olTextStyle.getFont(),
+      maxAngle: olTextStyle.getMaxAngle(),
       offsetX: olTextStyle.getOffsetX(),
       offsetY: olTextStyle.getOffsetY(),
+      padding: olTextStyle.getPadding(),
+      placement: olTextStyle.getPlacement(),
       rotation: olTextStyle.getRotation(),
       scale: olTextStyle.getScale(),
       stroke: this.writeStrokeStyle(olTextStyle.getStroke()),
@@ -0,0 +1,107 @@
+import OlSourceImageStatic from 'ol/source/ImageStatic';
+
+import defaultsDeep from 'lodash/defaultsDeep';
+
+import BaseSerializer from './BaseSerializer';
+
+/**
+ * The MapFishPrintV3ImageSerializer.
+ *
+ * @class
+ */
+export class MapFishPrintV3ImageSerializer extends BaseSerializer {
+
+  /**
+   * The image layer type identificator.
+   *
+   * @type {string}
+   */
+  static TYPE_IMAGE = 'image';
+
+  /**
+   * The image formats by file extension.
+   *
+   * @type {Object}
+   */
+  static IMAGE_FORMATS = {
+    gif: 'image/gif',
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    tif: 'image/tiff',
+    tiff: 'image/tiff'
+  };
+
+  /**
+   * The ol sources this serializer is capable of serializing.
+   *
+   * @type {Array}
+   */
+  static sourceCls = [
+    OlSourceImageStatic
+  ];
+
+  /**
+   * The constructor
+   */
+  constructor() {
+    super(arguments);
+  }
+
+  /**
+   * Serializes/Encodes the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to serialize/encode.
+   * @param {Object} opts Additional properties to pass to the serialized
+   *   layer object that can't be obtained by the layer itself. It can also be
+   *   used to override all generated layer values, e.g. the image format.
+   * @return {Object} The serialized/encoded layer.
+   */
+  serialize(layer, opts = {}) {
+    defaultsDeep(opts, {
+      failOnError: false,
+      rasterStyle: undefined
+    });
+
+    const source = layer.getSource();
+
+    if (!this.validateSource(source)) {
+      return;
+    }
+
+    const url = source.getUrl();
+
+    const serialized = {
+      ...super.serialize(layer, opts),
+      ...{
+        baseURL: url,
+        extent: this.transformExtent(source.getImageExtent(),
+          source.getProjection() || undefined),
+        imageFormat: this.getImageFormat(url),
+        name: layer.get('name'),
+        opacity: this.getOpacity(layer),
+        type: this.constructor.TYPE_IMAGE
+      },
+      ...opts
+    };
+
+    return serialized;
+  }
+
+  /**
+   * Returns the image format (mime type) of the given image url based on its
+   * file extension. Defaults to `image/png`.
+   *
+   * @param {string} url The url of the image.
+   * @return {string} The image format.
+   */
+  getImageFormat(url) {
+    const path = url ? url.split('?')[0] : '';
+    const extension = path.split('.').pop().toLowerCase();
+
+    return this.constructor.IMAGE_FORMATS[extension] ||
+      this.constructor.IMAGE_FORMATS.png;
+  }
+}
+
+export default MapFishPrintV3ImageSerializer;
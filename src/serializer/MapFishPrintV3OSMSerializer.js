@@ -59,7 +59,7 @@ export class MapFishPrintV3OSMSerializer extends BaseSerializer {
 
     const source = layer.getSource();
 
-    if (!this.validateSource(source)) {
+    if (!this.validateSource(source) || !this.validateTileProjection(source)) {
       return;
     }
 
@@ -67,7 +67,7 @@ export class MapFishPrintV3OSMSerializer extends BaseSerializer {
       ...super.serialize(layer, opts),
       ...{
         name: layer.get('name'),
-        opacity: layer.getOpacity(),
+        opacity: this.getOpacity(layer),
         type: this.constructor.TYPE_OSM
       },
       ...opts
@@ -0,0 +1,285 @@
+import OlSourceVectorTile from 'ol/source/VectorTile';
+import OlFeature from 'ol/Feature';
+import OlGeomPoint from 'ol/geom/Point';
+import OlGeomMultiPoint from 'ol/geom/MultiPoint';
+import OlGeomLineString from 'ol/geom/LineString';
+import OlGeomMultiLineString from 'ol/geom/MultiLineString';
+import OlGeomPolygon from 'ol/geom/Polygon';
+import OlGeomMultiPolygon from 'ol/geom/MultiPolygon';
+import TileState from 'ol/TileState';
+import { intersects } from 'ol/extent';
+import { linearRingIsClockwise } from 'ol/geom/flat/orient';
+
+import defaultsDeep from 'lodash/defaultsDeep';
+
+import BaseSerializer from './BaseSerializer';
+import MapFishPrintV3GeoJsonSerializer from './MapFishPrintV3GeoJsonSerializer';
+import Log from '../util/Logger';
+
+/**
+ * The MapFishPrintV3VectorTileSerializer.
+ *
+ * Converts the features of all loaded tiles intersecting the print extent to
+ * GeoJSON and returns one MapFish Print `geojson` layer per source layer of
+ * the vector tiles.
+ *
+ * @class
+ */
+export class MapFishPrintV3VectorTileSerializer extends MapFishPrintV3GeoJsonSerializer {
+
+  /**
+   * The property to get the source layer name of a feature from. Matches the
+   * default `layerName` of `ol.format.MVT`.
+   *
+   * @type {string}
+   */
+  static SOURCE_LAYER_PROPERTY = 'layer';
+
+  /**
+   * The maximum number of features to serialize per layer. May be
+   * overridden per layer via the `maxFeatures` serializer option.
+   *
+   * @type {number}
+   */
+  static MAX_FEATURES = 10000;
+
+  /**
+   * The ol sources this serializer is capable of serializing.
+   *
+   * @type {Array}
+   */
+  static sourceCls = [
+    OlSourceVectorTile
+  ];
+
+  /**
+   * The constructor
+   */
+  constructor() {
+    super(arguments);
+  }
+
+  /**
+   * Serializes/Encodes the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to serialize/encode.
+   * @param {Object} opts Additional properties to pass to the serialized
+   *   layer object that can't be obtained by the layer itself. It can also be
+   *   used to override all generated layer values. The special option
+   *   `maxFeatures` limits the number of features to serialize.
+   * @param {number} viewResolution The resolution to calculate the styles for.
+   * @param {ol.Extent} printExtent The extent to serialize the features of.
+   *   If not given, the features of all loaded tiles will be serialized.
+   * @return {Array} The serialized/encoded layers, one per source layer.
+   */
+  serialize(layer, opts = {}, viewResolution, printExtent) {
+    defaultsDeep(opts, {
+      failOnError: false,
+      renderAsSvg: false
+    });
+
+    const {
+      maxFeatures = this.constructor.MAX_FEATURES,
+      ...serializerOpts
+    } = opts;
+
+    const source = layer.getSource();
+
+    if (!this.validateSource(source)) {
+      return;
+    }
+
+    const renderFeatures = this.getRenderFeatures(layer, printExtent,
+      viewResolution);
+
+    if (renderFeatures.length > maxFeatures) {
+      Log.warn(`The layer contains ${renderFeatures.length} features in the ` +
+        `print extent, only the first ${maxFeatures} will be printed.`);
+    }
+
+    const featuresBySourceLayer = {};
+    const sourceLayerNames = [];
+
+    renderFeatures.slice(0, maxFeatures).forEach(renderFeature => {
+      const styles = this.getFeatureStyles(renderFeature, layer, viewResolution);
+      const geometry = this.getGeometry(renderFeature);
+
+      if (!styles || !geometry) {
+        return;
+      }
+
+      const {
+        geometry: geometryProperty,
+        ...properties
+      } = renderFeature.getProperties();
+      const feature = new OlFeature(properties);
+      feature.setGeometry(geometry);
+      feature.setStyle(styles);
+
+      const sourceLayerName = renderFeature.get(this.constructor.SOURCE_LAYER_PROPERTY) || '';
+      if (!featuresBySourceLayer[sourceLayerName]) {
+        featuresBySourceLayer[sourceLayerName] = [];
+        sourceLayerNames.push(sourceLayerName);
+      }
+      featuresBySourceLayer[sourceLayerName].push(feature);
+    });
+
+    const layerName = layer.get('name') || 'Vector Tile Layer';
+    // the features of the vector tile source can't be serialized by the
+    // GeoJSON serializer, hence we skip it while serializing the basic layer
+    // properties.
+    const baseSerialized = BaseSerializer.prototype.serialize.call(this, layer);
+
+    return sourceLayerNames.map(sourceLayerName => {
+      const {
+        features,
+        style
+      } = this.serializeFeatures(featuresBySourceLayer[sourceLayerName],
+        layer, viewResolution);
+
+      return {
+        ...baseSerialized,
+        geoJson: {
+          type: 'FeatureCollection',
+          features
+        },
+        name: sourceLayerName ? `${layerName} (${sourceLayerName})` : layerName,
+        opacity: this.getOpacity(layer),
+        style,
+        type: this.constructor.TYPE_GEOJSON,
+        ...serializerOpts
+      };
+    });
+  }
+
+  /**
+   * Returns all (render) features of the loaded source tiles of the given
+   * layer intersecting the given extent. If supported by the source (ol >=
+   * 6.7), the features are taken from `getFeaturesInExtent`. Otherwise the
+   * tiles are taken from the tile cache of the source, preferring the zoom
+   * level closest to the given resolution to avoid printing the same features
+   * of multiple zoom levels.
+   *
+   * @param {ol.layer.VectorTile} layer The layer to get the features from.
+   * @param {ol.Extent} printExtent The extent to get the features for.
+   * @param {number} resolution The resolution to get the features for.
+   * @return {Array} The features (`ol.render.Feature`).
+   */
+  getRenderFeatures(layer, printExtent, resolution) {
+    const source = layer.getSource();
+    const tileGrid = source.getTileGridForProjection(
+      this.viewProjection || source.getProjection());
+    const extent = printExtent || tileGrid.getExtent();
+    const tilesByZ = {};
+
+    if (extent && typeof source.getFeaturesInExtent === 'function') {
+      return source.getFeaturesInExtent(extent);
+    }
+
+    // the loaded features aren't part of the public api of ol 6.1, hence we
+    // rely on its internals here: the (private) tile cache of the source and
+    // the source tiles of its render tiles. Note that `getSourceTiles()`
+    // returns the source tiles assigned while rendering, but may start
+    // loading missing ones.
+    if (!source.tileCache) {
+      Log.warn('Cannot access the loaded tiles of the vector tile source, ' +
+        'the layer will be skipped.');
+      return [];
+    }
+
+    source.tileCache.forEach(tile => {
+      if (tile.getState() !== TileState.LOADED ||
+        (extent && !intersects(tileGrid.getTileCoordExtent(tile.tileCoord), extent))) {
+        return;
+      }
+
+      const z = tile.tileCoord[0];
+      tilesByZ[z] = tilesByZ[z] || [];
+      tilesByZ[z].push(tile);
+    });
+
+    const printZ = resolution ?
+      tileGrid.getZForResolution(resolution, source.zDirection) :
+      tileGrid.getMaxZoom();
+    const tileZ = Object.keys(tilesByZ)
+      .map(Number)
+      .sort((a, b) => Math.abs(a - printZ) - Math.abs(b - printZ))[0];
+    const sourceTileKeys = {};
+    const renderFeatures = [];
+
+    (tilesByZ[tileZ] || []).forEach(tile => {
+      tile.getSourceTiles().forEach(sourceTile => {
+        const sourceTileKey = sourceTile.tileCoord.join('/');
+
+        if (sourceTileKeys[sourceTileKey] ||
+          sourceTile.getState() !== TileState.LOADED ||
+          (extent && !intersects(sourceTile.extent, extent))) {
+          return;
+        }
+
+        sourceTileKeys[sourceTileKey] = true;
+
+        (sourceTile.getFeatures() || []).forEach(feature => {
+          if (!extent || intersects(feature.getExtent(), extent)) {
+            renderFeatures.push(feature);
+          }
+        });
+      });
+    });
+
+    return renderFeatures;
+  }
+
+  /**
+   * Returns the geometry of the given (render) feature.
+   *
+   * @param {ol.render.Feature|ol.Feature} renderFeature The feature.
+   * @return {ol.geom.Geometry} The geometry.
+   */
+  getGeometry(renderFeature) {
+    if (renderFeature instanceof OlFeature) {
+      return renderFeature.getGeometry();
+    }
+
+    const flatCoordinates = renderFeature.getFlatCoordinates();
+    const ends = renderFeature.getEnds();
+
+    switch (renderFeature.getType()) {
+      case 'Point':
+        return new OlGeomPoint(flatCoordinates.slice(0, 2));
+      case 'MultiPoint':
+        return new OlGeomMultiPoint(flatCoordinates, 'XY');
+      case 'LineString':
+        return new OlGeomLineString(flatCoordinates, 'XY');
+      case 'MultiLineString':
+        return new OlGeomMultiLineString(flatCoordinates, 'XY', ends);
+      case 'Polygon': {
+        // a single render feature may contain multiple polygons, each
+        // starting with an exterior ring. ol.format.MVT reads the rings in
+        // tile pixels (y pointing down), where exterior rings aren't
+        // clockwise in terms of ol.geom.flat.orient. As the render features
+        // have been transformed to map coordinates (y pointing up) since,
+        // the exterior rings are clockwise here.
+        const endss = [];
+        let offset = 0;
+        ends.forEach(end => {
+          if (endss.length === 0 ||
+            linearRingIsClockwise(flatCoordinates, offset, end, 2)) {
+            endss.push([end]);
+          } else {
+            endss[endss.length - 1].push(end);
+          }
+          offset = end;
+        });
+
+        return endss.length > 1 ?
+          new OlGeomMultiPolygon(flatCoordinates, 'XY', endss) :
+          new OlGeomPolygon(flatCoordinates, 'XY', ends);
+      }
+      default:
+        return undefined;
+    }
+  }
+}
+
+export default MapFishPrintV3VectorTileSerializer;
@@ -86,7 +86,7 @@ export class MapFishPrintV3WMSSerializer extends BaseSerializer {
         imageFormat: source.getParams().FORMAT || 'image/png',
         layers: layersArray,
         name: layer.get('name'),
-        opacity: layer.getOpacity(),
+        opacity: this.getOpacity(layer),
         styles: stylesArray,
         version: source.getParams().VERSION || '1.1.0',
         type: this.constructor.TYPE_WMS
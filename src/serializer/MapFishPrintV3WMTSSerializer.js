@@ -0,0 +1,192 @@
+import OlSourceWMTS from 'ol/source/WMTS';
+import OlTileGridWMTS from 'ol/tilegrid/WMTS';
+import { getWidth, getHeight } from 'ol/extent';
+import { METERS_PER_UNIT } from 'ol/proj/Units';
+
+import defaultsDeep from 'lodash/defaultsDeep';
+
+import BaseSerializer from './BaseSerializer';
+import Log from '../util/Logger';
+
+/**
+ * The MapFishPrintV3WMTSSerializer.
+ *
+ * @class
+ */
+export class MapFishPrintV3WMTSSerializer extends BaseSerializer {
+
+  /**
+   * The WMTS layer type identificator.
+   *
+   * @type {string}
+   */
+  static TYPE_WMTS = 'wmts';
+
+  /**
+   * The standardized rendering pixel size (0.28 mm) as defined by the
+   * WMTS specification, in meters.
+   *
+   * @type {number}
+   */
+  static STANDARDIZED_RENDERING_PIXEL_SIZE = 0.00028;
+
+  /**
+   * The ol sources this serializer is capable of serializing.
+   *
+   * @type {Array}
+   */
+  static sourceCls = [
+    OlSourceWMTS
+  ];
+
+  /**
+   * The constructor
+   */
+  constructor() {
+    super(arguments);
+  }
+
+  /**
+   * Serializes/Encodes the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to serialize/encode.
+   * @param {Object} opts Additional properties to pass to the serialized
+   *   layer object that can't be obtained by the layer itself. It can also be
+   *   used to override all generated layer values, e.g. the image format.
+   * @return {Object|undefined} The serialized/encoded layer or undefined if
+   *   the source doesn't provide any urls.
+   */
+  serialize(layer, opts = {}) {
+    defaultsDeep(opts, {
+      customParams: {},
+      failOnError: false,
+      rasterStyle: undefined
+    });
+
+    const source = layer.getSource();
+
+    if (!this.validateSource(source) || !this.validateTileProjection(source)) {
+      return;
+    }
+
+    const urls = source.getUrls();
+
+    // sources configured with a tileUrlFunction only can't be printed as
+    // the print service requires the url of the service.
+    if (!urls || urls.length === 0) {
+      Log.warn('Cannot serialize a WMTS source without urls, the layer ' +
+        'will be skipped.');
+      return;
+    }
+
+    const dimensionParams = source.getDimensions();
+
+    const serialized = {
+      ...super.serialize(layer, opts),
+      ...{
+        baseURL: urls[0],
+        dimensionParams,
+        dimensions: Object.keys(dimensionParams),
+        imageFormat: source.getFormat(),
+        layer: source.getLayer(),
+        matrices: this.getMatrices(source),
+        matrixSet: source.getMatrixSet(),
+        name: layer.get('name'),
+        opacity: this.getOpacity(layer),
+        requestEncoding: source.getRequestEncoding(),
+        style: source.getStyle(),
+        version: source.getVersion(),
+        type: this.constructor.TYPE_WMTS
+      },
+      ...opts
+    };
+
+    return serialized;
+  }
+
+  /**
+   * Returns the matrices definition of the tile grid of the given source.
+   *
+   * @param {ol.source.WMTS} source The source to get the matrices for.
+   * @return {Array} The matrices, each containing the `identifier`,
+   *                 `scaleDenominator`, `topLeftCorner`, `tileSize` and
+   *                 `matrixSize`.
+   */
+  getMatrices(source) {
+    const tileGrid = source.getTileGrid();
+
+    if (!(tileGrid instanceof OlTileGridWMTS)) {
+      return [];
+    }
+
+    const projection = source.getProjection();
+    const metersPerUnit = projection && projection.getMetersPerUnit() ?
+      projection.getMetersPerUnit() :
+      METERS_PER_UNIT.m;
+    const gridExtent = tileGrid.getExtent() ||
+      (projection ? projection.getExtent() : null);
+
+    return tileGrid.getMatrixIds().map((identifier, z) => {
+      const resolution = tileGrid.getResolution(z);
+      const tileSize = this.getTileSize(tileGrid, z);
+
+      return {
+        identifier,
+        scaleDenominator: resolution * metersPerUnit /
+          this.constructor.STANDARDIZED_RENDERING_PIXEL_SIZE,
+        topLeftCorner: tileGrid.getOrigin(z),
+        tileSize,
+        matrixSize: this.getMatrixSize(tileGrid, z, tileSize, gridExtent)
+      };
+    });
+  }
+
+  /**
+   * Returns the tile size of the given tile grid at the given zoom level as
+   * array.
+   *
+   * @param {ol.tilegrid.TileGrid} tileGrid The tile grid.
+   * @param {number} z The zoom level.
+   * @return {Array} The tile size, e.g. `[256, 256]`.
+   */
+  getTileSize(tileGrid, z) {
+    const tileSize = tileGrid.getTileSize(z);
+
+    return Array.isArray(tileSize) ? tileSize : [tileSize, tileSize];
+  }
+
+  /**
+   * Returns the number of tile columns and rows of the given tile grid at the
+   * given zoom level.
+   *
+   * @param {ol.tilegrid.TileGrid} tileGrid The tile grid.
+   * @param {number} z The zoom level.
+   * @param {Array} tileSize The tile size at the given zoom level.
+   * @param {ol.Extent} gridExtent The extent covered by the tile grid, used
+   *                               if the grid doesn't provide a tile range.
+   * @return {Array} The matrix size, e.g. `[4, 4]`.
+   */
+  getMatrixSize(tileGrid, z, tileSize, gridExtent) {
+    const tileRange = tileGrid.getFullTileRange(z);
+
+    if (tileRange) {
+      return [
+        tileRange.maxX - tileRange.minX + 1,
+        tileRange.maxY - tileRange.minY + 1
+      ];
+    }
+
+    if (gridExtent) {
+      const resolution = tileGrid.getResolution(z);
+
+      return [
+        Math.ceil(getWidth(gridExtent) / resolution / tileSize[0]),
+        Math.ceil(getHeight(gridExtent) / resolution / tileSize[1])
+      ];
+    }
+
+    return [1, 1];
+  }
+}
+
+export default MapFishPrintV3WMTSSerializer;
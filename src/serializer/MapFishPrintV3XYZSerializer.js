@@ -0,0 +1,122 @@
+import OlSourceXYZ from 'ol/source/XYZ';
+
+import defaultsDeep from 'lodash/defaultsDeep';
+
+import BaseSerializer from './BaseSerializer';
+
+/**
+ * The MapFishPrintV3XYZSerializer.
+ *
+ * Note: As `ol.source.OSM` inherits from `ol.source.XYZ`, this serializer
+ * should be placed after the OSM serializer in the list of serializers of the
+ * manager. Other `ol.source.TileImage` sources (e.g. `ol.source.BingMaps` or
+ * `ol.source.TileArcGISRest`) don't provide usable url templates and are
+ * not handled by this serializer.
+ *
+ * @class
+ */
+export class MapFishPrintV3XYZSerializer extends BaseSerializer {
+
+  /**
+   * The XYZ layer type identificator. MapFish Print handles any XYZ tile
+   * service via its OSM layer.
+   *
+   * @type {string}
+   */
+  static TYPE_OSM = 'osm';
+
+  /**
+   * The image extension to use if it can't be obtained by the url of the
+   * source.
+   *
+   * @type {string}
+   */
+  static DEFAULT_IMAGE_EXTENSION = 'png';
+
+  /**
+   * The ol sources this serializer is capable of serializing.
+   *
+   * @type {Array}
+   */
+  static sourceCls = [
+    OlSourceXYZ
+  ];
+
+  /**
+   * The constructor
+   */
+  constructor() {
+    super(arguments);
+  }
+
+  /**
+   * Serializes/Encodes the given layer.
+   *
+   * @param {ol.layer.Layer} layer The layer to serialize/encode.
+   * @param {Object} opts Additional properties to pass to the serialized
+   *   layer object that can't be obtained by the layer itself. It can also be
+   *   used to override all generated layer values, e.g. the image format.
+   * @return {Object} The serialized/encoded layer.
+   */
+  serialize(layer, opts = {}) {
+    defaultsDeep(opts, {
+      customParams: {},
+      dpi: 72,
+      failOnError: false,
+      rasterStyle: undefined,
+      resolutionTolerance: 0
+    });
+
+    const source = layer.getSource();
+
+    if (!this.validateSource(source) || !this.validateTileProjection(source)) {
+      return;
+    }
+
+    const urls = source.getUrls();
+    const baseURL = urls ? urls[0] : undefined;
+    const tileGrid = source.getTileGrid();
+    const projection = source.getProjection();
+    const tileSize = tileGrid.getTileSize(0);
+
+    const serialized = {
+      ...super.serialize(layer, opts),
+      ...{
+        baseURL,
+        imageExtension: this.getImageExtension(baseURL),
+        maxExtent: tileGrid.getExtent() ||
+          (projection ? projection.getExtent() : undefined),
+        name: layer.get('name'),
+        opacity: this.getOpacity(layer),
+        resolutions: tileGrid.getResolutions(),
+        tileSize: Array.isArray(tileSize) ? tileSize : [tileSize, tileSize],
+        type: this.constructor.TYPE_OSM
+      },
+      ...opts
+    };
+
+    return serialized;
+  }
+
+  /**
+   * Returns the image extension (e.g. `png`) of the given url template.
+   *
+   * @param {string} url The url template, e.g.
+   *                     `https://tiles.bvb.de/{z}/{x}/{y}.png`.
+   * @return {string} The image extension.
+   */
+  getImageExtension(url) {
+    if (!url) {
+      return this.constructor.DEFAULT_IMAGE_EXTENSION;
+    }
+
+    const path = url.split('?')[0];
+    const match = path.match(/\.(png|jpe?g|gif|webp|tiff?)$/i);
+
+    return match ?
+      match[1].toLowerCase() :
+      this.constructor.DEFAULT_IMAGE_EXTENSION;
+  }
+}
+
+export default MapFishPrintV3XYZSerializer;
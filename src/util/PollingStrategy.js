@@ -0,0 +1,81 @@
+/**
+ * Factories for polling strategies determining the interval between two
+ * status requests of a print job (see `pollingStrategy` of the
+ * MapFishPrintV3Manager).
+ *
+ * A polling strategy is a function receiving the (zero based) number of the
+ * current attempt and returning the interval in ms to wait before the next
+ * status request.
+ *
+ * @class
+ */
+export class PollingStrategy {
+
+  /**
+   * Returns a strategy polling in a fixed interval.
+   *
+   * @param {number} interval The interval in ms. Default is to 1000.
+   * @return {Function} The polling strategy.
+   */
+  static fixed = (interval = 1000) => {
+    return () => interval;
+  }
+
+  /**
+   * Returns a strategy increasing the interval linearly with every attempt.
+   *
+   * @param {Object} opts The strategy options.
+   * @param {number} opts.initialInterval The interval of the first attempt
+   *                                      in ms. Default is to 1000.
+   * @param {number} opts.increment The amount in ms to increase the interval
+   *                                with every attempt. Default is to 1000.
+   * @param {number} opts.maxInterval The maximum interval in ms. Default is
+   *                                  to 10000.
+   * @return {Function} The polling strategy.
+   */
+  static linear = (opts = {}) => {
+    const {
+      initialInterval = 1000,
+      increment = 1000,
+      maxInterval = 10000
+    } = opts;
+
+    return attempt => Math.min(initialInterval + attempt * increment,
+      maxInterval);
+  }
+
+  /**
+   * Returns a strategy increasing the interval exponentially with every
+   * attempt (exponential backoff). The interval will be randomized by the
+   * given jitter to spread the requests of concurrent print jobs.
+   *
+   * @param {Object} opts The strategy options.
+   * @param {number} opts.initialInterval The interval of the first attempt
+   *                                      in ms. Default is to 500.
+   * @param {number} opts.factor The factor to multiply the interval with on
+   *                             every attempt. Default is to 2.
+   * @param {number} opts.maxInterval The maximum interval in ms. Default is
+   *                                  to 10000.
+   * @param {number} opts.jitter The maximum deviation of the interval as
+   *                             fraction of it, e.g. 0.2 for ±20%. Default is
+   *                             to 0.2.
+   * @return {Function} The polling strategy.
+   */
+  static exponential = (opts = {}) => {
+    const {
+      initialInterval = 500,
+      factor = 2,
+      maxInterval = 10000,
+      jitter = 0.2
+    } = opts;
+
+    return attempt => {
+      const interval = initialInterval * Math.pow(factor, attempt);
+      const deviation = interval * jitter * (Math.random() * 2 - 1);
+
+      return Math.round(Math.max(0, Math.min(interval + deviation, maxInterval)));
+    };
+  }
+}
+
+export default PollingStrategy;